@@ -0,0 +1,346 @@
+import { SSMClient } from '@aws-sdk/client-ssm';
+import { SecretsManagerClient } from '@aws-sdk/client-secrets-manager';
+
+declare namespace ssmConfig {
+  type BuiltinType =
+    | 'string'
+    | 'int'
+    | 'float'
+    | 'bool'
+    | 'bigint'
+    | 'json'
+    | 'array'
+    | 'url'
+    | 'duration'
+    | 'bytes'
+    | 'enum';
+
+  // Value produced by each built-in type
+  interface TypeValues {
+    string: string;
+    int: number;
+    float: number;
+    bool: boolean;
+    bigint: bigint;
+    json: unknown;
+    url: URL;
+    duration: number;
+    bytes: number;
+    enum: string;
+  }
+
+  // Allowed enum values. The '' and 0 members keep literal types when a map is inferred, so
+  // `enum: ['debug', 'info']` types as 'debug' | 'info' without `as const`
+  type EnumValue = '' | (string & {}) | 0 | (number & {}) | boolean | null;
+
+  interface ConfigEntry {
+    /** Environment variable read first, and written with the resolved value when exportToEnv is set */
+    envVar: string;
+    /** SSM parameter used when the environment variable isn't set */
+    fallbackSSM?: string;
+    /** Secrets Manager secret used when the environment variable isn't set */
+    fallbackSecret?: string;
+    /** Field to read from a JSON secret */
+    jsonKey?: string;
+    /** Value used when no other source has one */
+    fallbackStatic?: unknown;
+    /** A built-in type or one added with registerType */
+    type: BuiltinType | (string & {});
+    /** Item type for `array` values. Default: 'string' */
+    itemType?: BuiltinType | (string & {});
+    /** Separator for `array` values. Default: ',' */
+    delimiter?: string;
+    /** Refresh interval (ms), overriding the global ttl */
+    ttl?: number;
+    /** KMS key for this SSM parameter (null for none), overriding the initializeConfig key */
+    kmsKeyId?: string | null;
+    /** Redact the value in change events, errors, describe() and logs. Detected for secrets and SecureStrings when not set */
+    secret?: boolean;
+    /** Set to false to allow the value to be unset. Default: true */
+    required?: boolean;
+    /** Fail the load if fetching this value fails, overriding the global strict option */
+    strict?: boolean;
+    /** Allowed values */
+    enum?: readonly EnumValue[];
+    /** Inclusive lower bound for int and float values */
+    min?: number;
+    /** Inclusive upper bound for int and float values */
+    max?: number;
+    /** Pattern that string values must match */
+    pattern?: RegExp | string;
+    /** Return true (or nothing) to accept, false or a message string to reject */
+    validate?: (value: any, key: string) => boolean | string | void;
+  }
+
+  type ConfigMap = Record<string, ConfigEntry>;
+
+  type BaseValue<E> =
+    E extends { type: 'array' }
+      ? Array<E extends { itemType: infer I } ? (I extends keyof TypeValues ? TypeValues[I] : unknown) : string>
+      : E extends { enum: readonly (infer V)[] }
+        ? V
+        : E extends { type: infer T }
+          ? (T extends keyof TypeValues ? TypeValues[T] : unknown)
+          : unknown;
+
+  /** The converted value of a configMap entry */
+  type ValueOf<E> = E extends { required: false } ? BaseValue<E> | undefined : BaseValue<E>;
+
+  /** Every key of a configMap with its converted value */
+  type ConfigValues<M extends ConfigMap> = { readonly [K in keyof M]: ValueOf<M[K]> };
+
+  interface RetryPolicy {
+    maxAttempts?: number;
+    baseDelay?: number;
+    maxDelay?: number;
+    jitter?: boolean;
+    deadline?: number;
+  }
+
+  interface DiskCacheOptions {
+    path?: string;
+    ttl?: number;
+    passphrase?: string;
+    keyFile?: string;
+    bypass?: boolean;
+  }
+
+  interface InitializeOptions {
+    quiet?: boolean;
+    ttl?: number;
+    ssmPath?: string;
+    ssmPathNaming?: (relativeName: string) => string;
+    extensionConcurrency?: number;
+    ssmConcurrency?: number;
+    retry?: RetryPolicy;
+    extensionRetry?: RetryPolicy;
+    strict?: boolean;
+    files?: boolean | string[];
+    diskCache?: boolean | DiskCacheOptions;
+    /** Write resolved values to process.env: every value, none (default) or all but secrets */
+    exportToEnv?: boolean | 'non-secret';
+    /** Discard the loaded values (or a load in progress) and load again, e.g. with a new configMap or KMS key */
+    force?: boolean;
+  }
+
+  interface ExportSnapshotOptions {
+    /** Encrypt the snapshot. Default: the SSM_CONFIG_SNAPSHOT_PASSPHRASE environment variable */
+    passphrase?: string;
+    /** Write secret values to an unencrypted snapshot instead of throwing */
+    allowPlaintextSecrets?: boolean;
+  }
+
+  interface LoadSnapshotOptions {
+    /** Oldest (ms) the snapshot's values may be. Default: 1 hour */
+    maxAge?: number;
+    /** Default: the SSM_CONFIG_SNAPSHOT_PASSPHRASE environment variable */
+    passphrase?: string;
+    /** Discard the loaded values and load the snapshot instead */
+    force?: boolean;
+  }
+
+  interface Logger {
+    debug(...args: any[]): void;
+    info(...args: any[]): void;
+    summary(...args: any[]): void;
+    warn(...args: any[]): void;
+    error(...args: any[]): void;
+    setQuietMode(quiet: boolean): void;
+  }
+
+  interface SourceContext {
+    configMap: ConfigMap;
+    kmsKeyId: string | null;
+    log: Logger;
+    reportFailure(key: string, error: Error, remoteId?: string): void;
+  }
+
+  interface ConfigSource {
+    name: string;
+    fetchBatch?(keys: string[], context: SourceContext): Promise<Record<string, unknown>>;
+    fetchOne?(key: string, context: SourceContext): Promise<unknown>;
+  }
+
+  interface BuiltinSources {
+    env: ConfigSource;
+    diskCache: ConfigSource;
+    secretsManagerExtension: ConfigSource;
+    secretsManager: ConfigSource;
+    ssmExtension: ConfigSource;
+    ssm: ConfigSource;
+    static: ConfigSource;
+  }
+
+  interface ConfigDescription {
+    key: string;
+    envVar: string;
+    type: string;
+    /** Name of the source the current value came from, or null if unset or not loaded yet */
+    source: string | null;
+    /** The entry's fallbackSSM parameter */
+    ssmPath: string | null;
+    /** When the value was fetched, as an ISO 8601 string */
+    loadedAt: string | null;
+    isSecret: boolean;
+    /** The converted value, '[REDACTED]' for secrets unless includeSecrets is set */
+    value: unknown;
+    /** Set when the current value can't be converted to the entry's type */
+    error?: string;
+  }
+
+  interface CheckResult {
+    key: string;
+    /** 'ssm' or 'secretsmanager', or null for keys without a remote value */
+    source: string | null;
+    /** The SSM parameter or secret that was checked */
+    remoteId: string | null;
+    status: 'ok' | 'missing' | 'invalid' | 'error' | 'skipped';
+    /** Why the fetch failed, for status 'error' */
+    kind: FetchErrorKind | null;
+    message: string | null;
+    /** False if this key would make initializeConfig fail */
+    ok: boolean;
+  }
+
+  interface PathDifference {
+    /** Parameter name relative to the compared paths */
+    name: string;
+    change: 'added' | 'removed' | 'changed';
+    /** Value under the first path, '[REDACTED]' for SecureStrings unless includeSecrets is set */
+    from?: string;
+    /** Value under the second path, '[REDACTED]' for SecureStrings unless includeSecrets is set */
+    to?: string;
+  }
+
+  interface PushOptions<K extends string = string> {
+    /** Values to write, by config key. Non-string values are formatted like exported ones */
+    values: Partial<Record<K, unknown>>;
+    /** KMS key for SecureString parameters whose entry has no kmsKeyId */
+    kmsKeyId?: string | null;
+    /** Update parameters that already exist. Default: false */
+    overwrite?: boolean;
+    /** Report what would change without writing anything. Default: false */
+    dryRun?: boolean;
+    /** Type for parameters that aren't secret. Default: 'String' */
+    type?: 'String' | 'SecureString';
+  }
+
+  interface PushResult {
+    key: string;
+    parameter: string;
+    type: 'String' | 'SecureString';
+    kmsKeyId: string | null;
+    /** 'skip' means the parameter exists with another value and overwrite wasn't set */
+    action: 'create' | 'update' | 'unchanged' | 'skip';
+  }
+
+  interface ListenerOptions {
+    /** Pass real values for `secret: true` entries instead of '[REDACTED]' */
+    includeSecrets?: boolean;
+  }
+
+  type ChangeListener<K = string, V = any> = (key: K, oldValue: V, newValue: V, source: string | null) => void;
+
+  interface CreateConfigOptions<M extends ConfigMap = ConfigMap> {
+    configMap?: M;
+    ssmClient?: SSMClient | { send(command: any): Promise<any> };
+    secretsClient?: SecretsManagerClient | { send(command: any): Promise<any> };
+    logger?: Logger;
+    kmsKeyId?: string;
+    files?: boolean | string[];
+    diskCache?: boolean | DiskCacheOptions;
+    exportToEnv?: boolean | 'non-secret';
+  }
+
+  type FetchErrorKind = 'access-denied' | 'credentials' | 'kms' | 'throttled' | 'network' | 'unknown';
+
+  interface ConfigError extends Error {}
+
+  interface ConfigMissingError extends ConfigError {
+    key: string;
+  }
+
+  interface ConfigFetchError extends ConfigError {
+    key?: string;
+    source: string;
+    remoteId?: string;
+    kind: FetchErrorKind;
+    cause: Error;
+  }
+
+  interface ConfigValidationError extends ConfigError {
+    problems: string[];
+    errors: Array<ConfigMissingError | ConfigFetchError>;
+  }
+
+  interface ConfigPushError extends ConfigError {
+    failures: Array<{ key: string; parameter: string; kind: FetchErrorKind; cause: Error }>;
+    results: PushResult[];
+  }
+
+  interface UnknownConfigKeyError extends ConfigError {
+    key: string;
+    suggestions: string[];
+  }
+
+  // The error classes are only reachable through a config instance, e.g. config.ConfigFetchError
+  interface ErrorClass<T> {
+    new (...args: any[]): T;
+    readonly prototype: T;
+  }
+
+  interface ConfigMethods<M extends ConfigMap> {
+    initializeConfig(kmsKeyId?: string | null, options?: InitializeOptions): Promise<void>;
+    createConfig<N extends ConfigMap = ConfigMap>(options?: CreateConfigOptions<N>): Config<N>;
+    defineConfig<N extends ConfigMap>(configMap: N, options?: Omit<CreateConfigOptions<N>, 'configMap'>): Config<N>;
+    getConfig<K extends keyof M & string>(key: K): ValueOf<M[K]>;
+    refresh(): Promise<void>;
+    /** Forget the loaded values so the next initializeConfig() loads again */
+    reset(): void;
+    /** Write the loaded values to a file other processes can load synchronously */
+    exportSnapshot(path: string, options?: ExportSnapshotOptions): Promise<void>;
+    /** Initialize synchronously from a file written by exportSnapshot() */
+    loadFromSnapshot(path: string, options?: LoadSnapshotOptions): void;
+    describe(options?: { includeSecrets?: boolean }): ConfigDescription[];
+    toJSON(): Record<string, unknown>;
+    check(kmsKeyId?: string | null): Promise<CheckResult[]>;
+    diffPaths(fromPath: string, toPath: string, options?: { includeSecrets?: boolean }): Promise<PathDifference[]>;
+    push(options: PushOptions<keyof M & string>): Promise<PushResult[]>;
+    on(event: 'change', listener: ChangeListener<keyof M & string>, options?: ListenerOptions): () => void;
+    off(event: 'change', listener: ChangeListener<keyof M & string>): void;
+    watch<K extends keyof M & string>(key: K, listener: ChangeListener<K, ValueOf<M[K]>>, options?: ListenerOptions): () => void;
+    registerType(
+      name: string,
+      parse: (value: any, entry: ConfigEntry) => unknown,
+      options?: { format?: (value: any, entry: ConfigEntry) => string }
+    ): void;
+    fileSource(path: string): ConfigSource;
+
+    configMap: M | null;
+    ssmPath: string | null;
+    log: Logger;
+    isQuietMode: boolean;
+    ssmClient: SSMClient | { send(command: any): Promise<any> };
+    secretsClient: SecretsManagerClient | { send(command: any): Promise<any> };
+    sources: ConfigSource[];
+    readonly providers: BuiltinSources;
+    readonly fetchErrors: Record<string, ConfigFetchError[]>;
+
+    readonly ConfigError: ErrorClass<ConfigError>;
+    readonly ConfigMissingError: ErrorClass<ConfigMissingError>;
+    readonly ConfigFetchError: ErrorClass<ConfigFetchError>;
+    readonly ConfigValidationError: ErrorClass<ConfigValidationError>;
+    readonly ConfigPushError: ErrorClass<ConfigPushError>;
+    readonly UnknownConfigKeyError: ErrorClass<UnknownConfigKeyError>;
+  }
+
+  /** A config instance whose values are typed from its configMap */
+  type Config<M extends ConfigMap> = ConfigValues<M> & ConfigMethods<M>;
+
+  /** The default instance, whose configMap is only known at runtime */
+  type UntypedConfig = ConfigMethods<ConfigMap> & { readonly [key: string]: any };
+}
+
+declare const ssmConfig: ssmConfig.UntypedConfig;
+
+export = ssmConfig;
@@ -1,413 +1,2129 @@
-const { SSMClient, GetParameterCommand, GetParametersCommand } = require('@aws-sdk/client-ssm');
+const {
+  SSMClient,
+  GetParameterCommand,
+  GetParametersCommand,
+  GetParametersByPathCommand,
+  PutParameterCommand
+} = require('@aws-sdk/client-ssm');
+const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
 const axios = require('axios');
 const ConfigLogger = require('./lib/logger');
+const { chunk, mapWithConcurrency } = require('./lib/concurrency');
+const util = require('util');
+const { ChangeEmitter, valuesEqual, REDACTED } = require('./lib/changeEmitter');
+const { validateSources, fetchFromSource } = require('./lib/sources');
+const { validateValue, createAggregateError } = require('./lib/validation');
+const { TypeRegistry, jsonReplacer } = require('./lib/types');
+const {
+  ConfigError,
+  ConfigMissingError,
+  ConfigFetchError,
+  ConfigValidationError,
+  ConfigPushError,
+  UnknownConfigKeyError,
+  classifyFetchError,
+  findSimilarKeys
+} = require('./lib/errors');
+const { DiskCache } = require('./lib/diskCache');
+const { writeSnapshot, readSnapshot, DEFAULT_SNAPSHOT_MAX_AGE } = require('./lib/snapshot');
+const { createFileSource, defaultConfigFiles } = require('./lib/fileSources');
+const {
+  DEFAULT_RETRY_POLICY,
+  DEFAULT_EXTENSION_RETRY_POLICY,
+  isRetryableAwsError,
+  isRetryableExtensionError,
+  withRetry
+} = require('./lib/retry');
 
-let isQuietMode = false;
-let log = new ConfigLogger();
-
-let configInitialized = false;
-let initializationPromise = null;
-let configMap = null;  // Will be set by the user
-let ssmCache = {};  // Cache for SSM parameter values
+// GetParameters accepts at most 10 names per call
+const SSM_BATCH_SIZE = 10;
+const DEFAULT_SSM_CONCURRENCY = 5;
+// The Lambda extension is a localhost call, so it can take more requests at once
+const DEFAULT_EXTENSION_CONCURRENCY = 10;
 
 const isLambda = !!(process.env.LAMBDA_TASK_ROOT || process.env.AWS_LAMBDA_FUNCTION_NAME);
 
-// Initialize SSM client
-let ssmClient = new SSMClient({ region: process.env.AWS_REGION });
+// Env values written by loadConfig for non-env sources. Shared by every instance so one
+// instance's exported values aren't mistaken for real env overrides by another.
+const exportedEnv = {};
 
-// Helper function to fetch from Lambda extension via localhost:2773
-async function getFromLambdaExtension(parameterName, kmsKeyId = null) {
-  // URL encode the parameter name
-  const encodedName = encodeURIComponent(parameterName);
-  const endpoint = `http://localhost:2773/systemsmanager/parameters/get?name=${encodedName}&withDecryption=true`;
-  const headers = {
-    'X-Aws-Parameters-Secrets-Token': process.env.AWS_SESSION_TOKEN
-  };
-  
-  if (kmsKeyId) {
-    headers['X-Aws-Kms-Key-Id'] = kmsKeyId;
+// Helper function to get an environment variable that overrides the other sources, or
+// undefined. Empty values don't count, nor do values a config instance exported itself.
+function envOverride(envVar) {
+  const value = process.env[envVar];
+  return value && value !== exportedEnv[envVar] ? value : undefined;
+}
+
+// Error classes exposed on every config instance, e.g. err instanceof config.ConfigFetchError
+const errorClasses = {
+  ConfigError,
+  ConfigMissingError,
+  ConfigFetchError,
+  ConfigValidationError,
+  ConfigPushError,
+  UnknownConfigKeyError
+};
+
+// Properties that other code probes for on any object (promise resolution, JSON.stringify,
+// test matchers, ES module interop...). Unless they're config keys, reading them returns undefined instead of throwing.
+const PROBED_PROPS = [
+  'then',
+  'inspect',
+  'asymmetricMatch',
+  'nodeType',
+  '$$typeof',
+  '_isMockFunction',
+  '@@__IMMUTABLE_ITERABLE__@@',
+  '@@__IMMUTABLE_RECORD__@@',
+  '__esModule'
+];
+
+// Default naming rule for parameters discovered under ssmPath, e.g. db/password -> DB_PASSWORD
+function defaultPathKeyName(relativeName) {
+  return relativeName
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toUpperCase();
+}
+
+// Helper function to turn an SSM path such as '/my-app/prod/' into the form GetParametersByPath
+// expects, without the trailing slash
+function normalizeSsmPath(path) {
+  return path.length > 1 ? path.replace(/\/+$/, '') : path;
+}
+
+// Function to create a config instance for a configMap. Works like createConfig; with the
+// TypeScript declarations the instance's values are typed from the map.
+function defineConfig(configMap, options = {}) {
+  return createConfig({ ...options, configMap });
+}
+
+// Helper function to check the exportToEnv option
+function validateExportToEnv(value) {
+  if (![true, false, 'non-secret'].includes(value)) {
+    throw new Error(`Invalid exportToEnv option ${JSON.stringify(value)}. Expected true, false or 'non-secret'`);
   }
+}
 
-  try {
-    log.debug(`Fetching SSM parameter ${parameterName} via Lambda extension`);
-    const response = await axios.get(endpoint, { headers });
-    if (!response.data.Parameter?.Value) {
-      log.warn(`SSM parameter ${parameterName} not found via Lambda extension`);
-      return null;
+// Function to create an independent config instance with its own configMap, caches
+// and clients. The module's default export is one of these.
+function createConfig(instanceOptions = {}) {
+  if (instanceOptions.exportToEnv !== undefined) {
+    validateExportToEnv(instanceOptions.exportToEnv);
+  }
+
+  let isQuietMode = false;
+  let ssmConcurrency = DEFAULT_SSM_CONCURRENCY;
+  let extensionConcurrency = DEFAULT_EXTENSION_CONCURRENCY;
+  let retryPolicy = DEFAULT_RETRY_POLICY;
+  let extensionRetryPolicy = DEFAULT_EXTENSION_RETRY_POLICY;
+  let retryCount = 0;  // Retries made during the current load, reported in the summary
+  let exportToEnv = instanceOptions.exportToEnv !== undefined ? instanceOptions.exportToEnv : false;  // false, true or 'non-secret'
+  let strictMode = false;  // Throw instead of falling back when a fetch fails for a reason other than not-found
+  let fetchErrors = {};  // Fetch failures from the last load: key -> [ConfigFetchError]
+  const secureParameters = new Set();  // SSM parameters of type SecureString, treated as secrets
+  const noKeyIdParameters = new Set();  // Parameters that only loaded without a KeyId, fetched that way from then on
+  let diskCache = null;  // Optional on-disk cache of fetched values, see configureDiskCache
+  let bypassDiskCache = false;  // Skip reading the disk cache but still write fresh values to it
+  let log = instanceOptions.logger || new ConfigLogger();
+
+  let configInitialized = false;
+  let initializationPromise = null;
+  let initializingKmsKeyId = null;  // KMS key of the current or completed initialization
+  let loadGeneration = 0;  // Bumped by reset() so loads and refreshes started before it are discarded
+  let configMap = instanceOptions.configMap || null;  // Will be set by the user
+  let activeMap = configMap;  // configMap plus any keys discovered under ssmPath
+  let ssmPath = null;  // Optional SSM hierarchy to load with GetParametersByPath
+  let ssmPathNaming = defaultPathKeyName;
+  let ssmPathValues = {};  // Parameters fetched by GetParametersByPath during the current load
+  let sourceValues = new Map();  // Cached raw values per source: source -> { [key]: value }
+  let sourceFetchedAt = {};  // When each key's values were last fetched (ms since epoch)
+  let activeKmsKeyId = null;  // KMS key used at initialization, reused for refreshes
+  let snapshotLoaded = false;  // Values came from loadFromSnapshot() rather than the sources
+  let extensionUnavailable = false;  // The Lambda extension refused a connection during this load
+  const defaultKmsKeyId = instanceOptions.kmsKeyId || null;  // Used when initializeConfig gets no key
+  let defaultTtl = null;  // Global refresh interval (ms) for cached source values
+  let refreshPromise = null;
+  let refreshIsPartial = false;  // refreshPromise only reloads the values whose TTL expired
+  let resolvedValues = {};  // Last converted value seen for each key, used to detect changes
+  let parsedValues = {};  // Last raw value and its converted result for each key
+  const typeRegistry = new TypeRegistry();
+  const changeEmitter = new ChangeEmitter();
+
+  // Initialize SSM client. Requests are retried by sendWithRetry, so the SDK's own retries
+  // are turned off to keep the retry policy's attempts and deadline accurate.
+  let ssmClient = instanceOptions.ssmClient || new SSMClient({ region: process.env.AWS_REGION, maxAttempts: 1 });
+
+  // Initialize Secrets Manager client, also without SDK retries
+  let secretsClient = instanceOptions.secretsClient || new SecretsManagerClient({ region: process.env.AWS_REGION, maxAttempts: 1 });
+
+  if (instanceOptions.diskCache !== undefined) {
+    configureDiskCache(instanceOptions.diskCache);
+  }
+
+  // Helper function to set up the disk cache from the diskCache option: true for the
+  // defaults, false to turn it off, or { path, ttl, passphrase, keyFile, bypass }
+  function configureDiskCache(option) {
+    if (!option) {
+      diskCache = null;
+      return;
     }
-    log.debug(`Successfully fetched SSM parameter ${parameterName} via Lambda extension`);
-    return response.data.Parameter.Value;
-  } catch (err) {
-    // Improve error message based on status code
-    if (err.response?.status === 404) {
-      log.warn(`SSM parameter ${parameterName} not found via Lambda extension`);
-    } else {
-      log.warn(`Error fetching SSM parameter ${parameterName} via Lambda extension: ${err.message}`);
+    const settings = option === true ? {} : option;
+    diskCache = new DiskCache({
+      ...settings,
+      passphrase: settings.passphrase || process.env.SSM_CONFIG_CACHE_PASSPHRASE
+    });
+    bypassDiskCache = settings.bypass === true;
+  }
+
+  // Helper function to check whether reads from the disk cache should be skipped
+  function isDiskCacheBypassed() {
+    const envFlag = process.env.SSM_CONFIG_BYPASS_CACHE;
+    return bypassDiskCache || envFlag === '1' || envFlag === 'true';
+  }
+
+  // Helper function to send an AWS SDK command, retrying throttling and transient failures
+  function sendWithRetry(client, command) {
+    return withRetry(() => client.send(command), retryPolicy, isRetryableAwsError, (err, retry, delay) => {
+      retryCount++;
+      log.debug(`Retrying ${command.constructor.name} after ${err.name} (retry ${retry}, waiting ${delay}ms)`);
+    });
+  }
+
+  // Helper function to call the Lambda extension, retrying while it starts up or is throttled
+  function extensionGet(endpoint, headers) {
+    return withRetry(() => axios.get(endpoint, { headers }), extensionRetryPolicy, isRetryableExtensionError, (err, retry, delay) => {
+      retryCount++;
+      log.debug(`Retrying Lambda extension request after ${err.code || err.message} (retry ${retry}, waiting ${delay}ms)`);
+    });
+  }
+
+  // Helper function to stop using the Lambda extension for the rest of the load once it
+  // still refuses connections after the extension retry policy has run out, which means the
+  // function doesn't have the extension layer. Returns whether the error was a refused connection.
+  function markExtensionUnavailable(err) {
+    if (err.code !== 'ECONNREFUSED') {
+      return false;
     }
-    return null;
+    if (!extensionUnavailable) {
+      extensionUnavailable = true;
+      log.warn('Lambda extension is not running on localhost:2773, using the AWS APIs for the rest of this load');
+    }
+    return true;
   }
-}
 
-// Helper function to fetch a single parameter from SSM
-async function getParameterFromSSM(parameterName, kmsKeyId = null) {
-  const baseParams = {
-    Name: parameterName,
-    WithDecryption: true
-  };
+  // Helper function to fetch ids through the Lambda extension. The first request is made on
+  // its own, so a function without the extension makes one request rather than one per id.
+  async function fetchFromExtension(ids, fetchOne) {
+    if (ids.length === 0 || extensionUnavailable) {
+      return ids.map(() => null);
+    }
+    const first = await fetchOne(ids[0]);
+    const rest = await mapWithConcurrency(ids.slice(1), extensionConcurrency, fetchOne);
+    return [first, ...rest];
+  }
+
+  // Helper function to fetch from Lambda extension via localhost:2773
+  async function getFromLambdaExtension(parameterName, kmsKeyId = null) {
+    if (extensionUnavailable) {
+      return null;
+    }
+
+    // URL encode the parameter name
+    const encodedName = encodeURIComponent(parameterName);
+    const endpoint = `http://localhost:2773/systemsmanager/parameters/get?name=${encodedName}&withDecryption=true`;
+    const headers = {
+      'X-Aws-Parameters-Secrets-Token': process.env.AWS_SESSION_TOKEN
+    };
+
+    if (kmsKeyId) {
+      headers['X-Aws-Kms-Key-Id'] = kmsKeyId;
+    }
 
-  // Handle mixed encryption scenarios when using custom KMS keys
-  // BACKGROUND: When using a custom KMS key, some parameters may be encrypted with that key
-  // while others may be unencrypted. This creates a challenge:
-  // - Encrypted parameters REQUIRE the KeyId to decrypt
-  // - Unencrypted parameters FAIL if KeyId is provided
-  // 
-  // SOLUTION: Try with custom key first (for encrypted params), fallback without key (for unencrypted)
-  // PERFORMANCE: Only adds overhead in mixed encryption scenarios (should be rare)
-  // BEST PRACTICE: Encrypt all parameters with the same custom key to avoid this complexity
-  if (kmsKeyId) {
-    // First attempt: Try with custom KMS key (for parameters encrypted with this key)
     try {
-      const paramsWithKey = { ...baseParams, KeyId: kmsKeyId };
-      const command = new GetParameterCommand(paramsWithKey);
-      const response = await ssmClient.send(command);
-      return response.Parameter.Value;
+      log.debug(`Fetching SSM parameter ${parameterName} via Lambda extension`);
+      const response = await extensionGet(endpoint, headers);
+      if (!response.data.Parameter?.Value) {
+        log.warn(`SSM parameter ${parameterName} not found via Lambda extension`);
+        return null;
+      }
+      log.debug(`Successfully fetched SSM parameter ${parameterName} via Lambda extension`);
+      recordParameterType(response.data.Parameter);
+      return response.data.Parameter.Value;
     } catch (err) {
-      // If KMS-related error, the parameter might be unencrypted - try without KeyId
-      if (err.name === 'InvalidKeyId' || 
-          err.name === 'KMSInvalidStateException' || 
-          err.name === 'ValidationException' ||
-          (err.message && err.message.includes('KeyId'))) {
-        
-        log.info(`Parameter ${parameterName} failed with custom KMS key, trying without KeyId (likely unencrypted parameter)`);
-        
-        // Second attempt: Try without KeyId (for unencrypted parameters)
-        try {
-          const command = new GetParameterCommand(baseParams);
-          const response = await ssmClient.send(command);
-          return response.Parameter.Value;
-        } catch (secondErr) {
-          // Both attempts failed - handle as normal error
-          return handleParameterError(parameterName, secondErr);
-        }
+      // Improve error message based on status code
+      if (markExtensionUnavailable(err)) {
+        return null;
+      }
+      if (err.response?.status === 404) {
+        log.warn(`SSM parameter ${parameterName} not found via Lambda extension`);
       } else {
-        // Non-KMS related error - handle normally
+        log.warn(`Error fetching SSM parameter ${parameterName} via Lambda extension: ${err.message}`);
+      }
+      return null;
+    }
+  }
+
+  // Helper function to remember whether a fetched SSM parameter is a SecureString
+  function recordParameterType(parameter) {
+    if (parameter.Type === 'SecureString') {
+      secureParameters.add(parameter.Name);
+    } else if (parameter.Type) {
+      secureParameters.delete(parameter.Name);
+    }
+  }
+
+  // Helper function to check whether an error from a request made with a KeyId may just
+  // mean the parameter isn't encrypted with that key
+  function isKmsKeyError(err) {
+    return err.name === 'InvalidKeyId' ||
+      err.name === 'KMSInvalidStateException' ||
+      err.name === 'ValidationException' ||
+      (err.message && err.message.includes('KeyId'));
+  }
+
+  // Helper function to fetch a single parameter from SSM
+  async function getParameterFromSSM(parameterName, kmsKeyId = null) {
+    const baseParams = {
+      Name: parameterName,
+      WithDecryption: true
+    };
+
+    // Handle mixed encryption scenarios when using custom KMS keys
+    // BACKGROUND: When using a custom KMS key, some parameters may be encrypted with that key
+    // while others may be unencrypted. This creates a challenge:
+    // - Encrypted parameters REQUIRE the KeyId to decrypt
+    // - Unencrypted parameters FAIL if KeyId is provided
+    // 
+    // SOLUTION: Try with custom key first (for encrypted params), fallback without key (for unencrypted)
+    // PERFORMANCE: Only adds overhead in mixed encryption scenarios (should be rare)
+    // BEST PRACTICE: Encrypt all parameters with the same custom key to avoid this complexity
+    if (kmsKeyId) {
+      // First attempt: Try with custom KMS key (for parameters encrypted with this key)
+      try {
+        const paramsWithKey = { ...baseParams, KeyId: kmsKeyId };
+        const command = new GetParameterCommand(paramsWithKey);
+        const response = await sendWithRetry(ssmClient, command);
+        recordParameterType(response.Parameter);
+        return response.Parameter.Value;
+      } catch (err) {
+        // If KMS-related error, the parameter might be unencrypted - try without KeyId
+        if (isKmsKeyError(err)) {
+
+          log.info(`Parameter ${parameterName} failed with custom KMS key, trying without KeyId (likely unencrypted parameter)`);
+
+          // Second attempt: Try without KeyId (for unencrypted parameters)
+          try {
+            const command = new GetParameterCommand(baseParams);
+            const response = await sendWithRetry(ssmClient, command);
+            // Remember it, so refreshes don't repeat the failing KeyId request
+            noKeyIdParameters.add(parameterName);
+            recordParameterType(response.Parameter);
+            return response.Parameter.Value;
+          } catch (secondErr) {
+            // Both attempts failed - handle as normal error
+            return handleParameterError(parameterName, secondErr);
+          }
+        } else {
+          // Non-KMS related error - handle normally
+          return handleParameterError(parameterName, err);
+        }
+      }
+    } else {
+      // Standard path: No custom KMS key specified
+      try {
+        const command = new GetParameterCommand(baseParams);
+        const response = await sendWithRetry(ssmClient, command);
+        recordParameterType(response.Parameter);
+        return response.Parameter.Value;
+      } catch (err) {
         return handleParameterError(parameterName, err);
       }
     }
-  } else {
-    // Standard path: No custom KMS key specified
-    try {
-      const command = new GetParameterCommand(baseParams);
-      const response = await ssmClient.send(command);
-      return response.Parameter.Value;
-    } catch (err) {
-      return handleParameterError(parameterName, err);
+  }
+
+  // Helper function to handle parameter fetch errors consistently. Returns null when the
+  // parameter doesn't exist and the error itself for any other failure, so callers can
+  // tell a missing parameter from one that couldn't be fetched.
+  function handleParameterError(parameterName, err) {
+    if (err.name === 'ParameterNotFound') {
+      log.warn(`SSM parameter ${parameterName} not found in this AWS account`);
+      return null;
+    } else if (err.name === 'AccessDeniedException') {
+      log.warn(`Access denied to SSM parameter ${parameterName}. Please check AWS credentials and permissions`);
+    } else {
+      log.warn(`Error fetching SSM parameter ${parameterName}: ${err.message}`);
     }
+    return err;
   }
-}
 
-// Helper function to handle parameter fetch errors consistently
-function handleParameterError(parameterName, err) {
-  if (err.name === 'ParameterNotFound') {
-    log.warn(`SSM parameter ${parameterName} not found in this AWS account`);
-  } else if (err.name === 'AccessDeniedException') {
-    log.warn(`Access denied to SSM parameter ${parameterName}. Please check AWS credentials and permissions`);
-  } else {
-    log.warn(`Error fetching SSM parameter ${parameterName}: ${err.message}`);
+  // Helper function to fetch all parameters. `kmsKeys` maps a parameter name to the KMS
+  // key to fetch it with; parameters are grouped by key and each group is batch-fetched.
+  async function getBatchFromSSM(parameterNames, kmsKeys = new Map()) {
+    const groups = new Map();
+    parameterNames.forEach(name => {
+      const kmsKeyId = kmsKeys.get(name) || null;
+      groups.set(kmsKeyId, [...(groups.get(kmsKeyId) || []), name]);
+    });
+
+    // Split each group into chunks that fit the GetParameters limit and fetch them with bounded
+    // concurrency. Each chunk reports its own errors so one failure doesn't lose the rest.
+    const chunks = [];
+    for (const [kmsKeyId, names] of groups) {
+      chunk(names, SSM_BATCH_SIZE).forEach(namesChunk => chunks.push({ names: namesChunk, kmsKeyId }));
+    }
+    if (chunks.length > 1) {
+      log.debug(`Fetching ${parameterNames.length} SSM parameters in ${chunks.length} batches`);
+    }
+    const chunkResults = await mapWithConcurrency(chunks, ssmConcurrency,
+      ({ names, kmsKeyId }) => fetchParameterChunk(names, kmsKeyId));
+    return Object.assign({}, ...chunkResults);
   }
-  return null;
-}
 
-// Helper function to fetch all parameters
-async function getBatchFromSSM(parameterNames, kmsKeyId = null) {
-  // If using a custom KMS key, we need to fetch parameters individually
-  if (kmsKeyId) {
-    log.debug('Fetching SSM parameters individually due to custom KMS key');
-    const values = {};
-    for (const paramName of parameterNames) {
-      const value = await getParameterFromSSM(paramName, kmsKeyId);
-      if (value !== null) {
-        values[paramName] = value;
+  // Helper function to fetch a single chunk of parameters via GetParameters
+  async function fetchParameterChunk(names, kmsKeyId = null) {
+    const params = {
+      Names: names,
+      WithDecryption: true
+    };
+    if (kmsKeyId) {
+      params.KeyId = kmsKeyId;
+    }
+
+    try {
+      const command = new GetParametersCommand(params);
+      const response = await sendWithRetry(ssmClient, command);
+      const values = {};
+
+      response.Parameters.forEach(param => {
+        values[param.Name] = param.Value;
+        recordParameterType(param);
         if (!isQuietMode) {
-          log.debug(`Successfully fetched SSM parameter ${paramName}`);
+          log.debug(`Successfully fetched SSM parameter ${param.Name}`);
+        }
+      });
+
+      response.InvalidParameters.forEach(param => {
+        log.warn(`SSM parameter ${param} was not found.`);
+      });
+
+      return values;
+    } catch (err) {
+      // Mixed encryption: some parameters in the chunk may not be encrypted with this key.
+      // Fetch them one at a time to find out which ones need the request without a KeyId.
+      if (kmsKeyId && isKmsKeyError(err)) {
+        log.debug(`Batch fetch with KMS key ${kmsKeyId} failed, fetching ${names.length} SSM parameters individually`);
+        const values = {};
+        for (const name of names) {
+          const value = await getParameterFromSSM(name, kmsKeyId);
+          if (value !== null) {
+            values[name] = value;
+          }
         }
+        return values;
+      }
+
+      log.warn(`Error fetching batch SSM parameters via SSM API (${names.join(', ')}): ${err.message}`);
+      // Every parameter in the chunk failed with the same error
+      return Object.fromEntries(names.map(name => [name, err]));
+    }
+  }
+
+  // Helper function to pick the KMS key for each SSM parameter behind a set of keys: the
+  // entry's own kmsKeyId if it has one (null for none), otherwise the one passed to
+  // initializeConfig. Parameters that earlier only loaded without a KeyId get none.
+  function kmsKeysForParameters(keys, context) {
+    const kmsKeys = new Map();
+    keys.forEach(key => {
+      const entry = context.configMap[key];
+      if (!entry.fallbackSSM || kmsKeys.has(entry.fallbackSSM)) {
+        return;
+      }
+      const kmsKeyId = entry.kmsKeyId !== undefined ? entry.kmsKeyId : context.kmsKeyId;
+      kmsKeys.set(entry.fallbackSSM, noKeyIdParameters.has(entry.fallbackSSM) ? null : kmsKeyId || null);
+    });
+    return kmsKeys;
+  }
+
+  // Helper function to fetch a secret from Lambda extension via localhost:2773
+  async function getSecretFromLambdaExtension(secretId) {
+    if (extensionUnavailable) {
+      return null;
+    }
+
+    const encodedId = encodeURIComponent(secretId);
+    const endpoint = `http://localhost:2773/secretsmanager/get?secretId=${encodedId}`;
+    const headers = {
+      'X-Aws-Parameters-Secrets-Token': process.env.AWS_SESSION_TOKEN
+    };
+
+    try {
+      log.debug(`Fetching secret ${secretId} via Lambda extension`);
+      const response = await extensionGet(endpoint, headers);
+      if (typeof response.data.SecretString !== 'string') {
+        log.warn(`Secret ${secretId} not found via Lambda extension`);
+        return null;
+      }
+      log.debug(`Successfully fetched secret ${secretId} via Lambda extension`);
+      return response.data.SecretString;
+    } catch (err) {
+      if (markExtensionUnavailable(err)) {
+        return null;
+      }
+      if (err.response?.status === 404) {
+        log.warn(`Secret ${secretId} not found via Lambda extension`);
       } else {
-        log.warn(`SSM parameter ${paramName} was not found.`);
+        log.warn(`Error fetching secret ${secretId} via Lambda extension: ${err.message}`);
       }
+      return null;
     }
-    return values;
   }
 
-  const params = {
-    Names: parameterNames,
-    WithDecryption: true
-  };
+  // Helper function to fetch a single secret from Secrets Manager. Like getParameterFromSSM,
+  // returns null when the secret doesn't exist and the error for any other failure.
+  async function getSecretFromSecretsManager(secretId) {
+    try {
+      const command = new GetSecretValueCommand({ SecretId: secretId });
+      const response = await sendWithRetry(secretsClient, command);
+      if (typeof response.SecretString !== 'string') {
+        log.warn(`Secret ${secretId} has no SecretString (binary secrets are not supported)`);
+        return null;
+      }
+      return response.SecretString;
+    } catch (err) {
+      if (err.name === 'ResourceNotFoundException') {
+        log.warn(`Secret ${secretId} not found in this AWS account`);
+        return null;
+      } else if (err.name === 'AccessDeniedException') {
+        log.warn(`Access denied to secret ${secretId}. Please check AWS credentials and permissions`);
+      } else {
+        log.warn(`Error fetching secret ${secretId}: ${err.message}`);
+      }
+      return err;
+    }
+  }
+
+  // Helper function to pull a config value out of a raw secret string, using jsonKey if set
+  function extractSecretValue(key, secretString, jsonKey) {
+    if (!jsonKey) {
+      return secretString;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(secretString);
+    } catch (err) {
+      log.warn(`Secret for ${key} is not valid JSON, so jsonKey "${jsonKey}" can't be read`);
+      return null;
+    }
+
+    const field = parsed !== null && typeof parsed === 'object' ? parsed[jsonKey] : undefined;
+    if (field === undefined || field === null) {
+      log.warn(`Secret for ${key} has no field "${jsonKey}"`);
+      return null;
+    }
+    return typeof field === 'string' ? field : JSON.stringify(field);
+  }
+
+  // Helper function to fetch each unique remote id behind a set of keys once and map
+  // the results back to config keys. `getId` picks the id from a config entry and
+  // `fetchIds` returns { [id]: value } for the ids it found, with an Error as the value
+  // for ids that failed for a reason other than not-found.
+  async function fetchByRemoteId(keys, context, getId, fetchIds) {
+    const keysWithId = keys.filter(key => getId(context.configMap[key]));
+    const ids = [...new Set(keysWithId.map(key => getId(context.configMap[key])))];
+    if (ids.length === 0) {
+      return {};
+    }
 
-  try {
-    const command = new GetParametersCommand(params);
-    const response = await ssmClient.send(command);
+    const valuesById = await fetchIds(ids);
     const values = {};
-    
-    response.Parameters.forEach(param => {
-      values[param.Name] = param.Value;
-      if (!isQuietMode) {
-        log.debug(`Successfully fetched SSM parameter ${param.Name}`);
+    keysWithId.forEach(key => {
+      const id = getId(context.configMap[key]);
+      const value = valuesById[id];
+      if (value instanceof Error) {
+        context.reportFailure(key, value, id);
+      } else if (value !== undefined && value !== null) {
+        values[key] = value;
       }
     });
-
-    response.InvalidParameters.forEach(param => {
-      log.warn(`SSM parameter ${param} was not found.`);
-    });
-
     return values;
-  } catch (err) {
-    log.warn(`Error fetching batch SSM parameters via SSM API: ${err.message}`);
-    return {};
   }
-}
 
-// Function to convert values based on the expected type
-function convertValue(value, type) {
-  // Validate the type is supported
-  const validTypes = ['string', 'int', 'float', 'bool'];
-  if (!validTypes.includes(type)) {
-    throw new Error(`Invalid type "${type}". Supported types are: ${validTypes.join(', ')}`);
-  }
-
-  switch (type) {
-    case 'int':
-      return parseInt(value, 10);
-    case 'float':
-      return parseFloat(value);
-    case 'bool':
-      // Enhanced boolean conversion
-      if (value === 'true' || value === '1' || value === 1) {
-        return true;
-      } else if (value === 'false' || value === '0' || value === 0) {
-        return false;
-      } else {
-        // Preserve the original string for error message clarity
-        throw new Error(`Invalid boolean value: "${value}". Expected "true", "false", "1", "0"`);
+  // Helper function to turn raw secret strings into per-key values, applying jsonKey
+  function secretValuesForKeys(secretValues, context) {
+    const values = {};
+    for (const [key, secretString] of Object.entries(secretValues)) {
+      const value = extractSecretValue(key, secretString, context.configMap[key].jsonKey);
+      if (value !== null) {
+        values[key] = value;
       }
-    case 'string':
-    default:
-      return value;  // No conversion needed for strings
+    }
+    return values;
   }
-}
 
-// Function to preload and populate the config object
-async function loadConfig(kmsKeyId = null) {
-  if (configInitialized) {
-    return;
-  }
-
-  const ssmParameters = Object.values(configMap)
-    .filter(({ fallbackSSM }) => fallbackSSM)
-    .map(({ fallbackSSM }) => fallbackSSM);
-
-  let ssmValues = {};
-  if (ssmParameters.length > 0) {
-    if (isLambda) {
-      // Try to fetch from Lambda extension first
-      let lambdaExtensionFailed = false;
-      for (const param of ssmParameters) {
-        const value = await getFromLambdaExtension(param);
-        if (value === null) {
-          lambdaExtensionFailed = true;
-          break;
+  // Built-in source providers. Each one receives the config keys still to resolve and
+  // returns { [key]: rawValue } for the keys it found; loadConfig walks them in order.
+
+  // Environment variables. Also read live by getConfig so runtime overrides apply.
+  const envSource = {
+    name: 'env',
+    async fetchBatch(keys, context) {
+      const values = {};
+      keys.forEach(key => {
+        const value = envOverride(context.configMap[key].envVar);
+        if (value !== undefined) {
+          values[key] = value;
+        }
+      });
+      return values;
+    }
+  };
+
+  // Helper function to get the disk cache id of the remote value a source read for an entry,
+  // or null for sources that aren't cached
+  function diskCacheId(entry, sourceName) {
+    if ((sourceName === 'ssm' || sourceName === 'ssm-extension') && entry.fallbackSSM) {
+      return `ssm:${entry.fallbackSSM}`;
+    }
+    if ((sourceName === 'secretsmanager' || sourceName === 'secretsmanager-extension') && entry.fallbackSecret) {
+      return `secretsmanager:${entry.fallbackSecret}${entry.jsonKey ? `#${entry.jsonKey}` : ''}`;
+    }
+    return null;
+  }
+
+  // Values saved to disk by an earlier run (only active with the diskCache option).
+  // Problems reading the cache are logged and the chain carries on to the remote sources.
+  const diskCacheSource = {
+    name: 'disk-cache',
+    async fetchBatch(keys, context) {
+      if (!diskCache || isDiskCacheBypassed()) {
+        return {};
+      }
+
+      let cached;
+      try {
+        cached = await diskCache.read();
+      } catch (err) {
+        log.warn(`Ignoring disk cache: ${err.message}`);
+        return {};
+      }
+
+      const values = {};
+      keys.forEach(key => {
+        const entry = context.configMap[key];
+        // Same order as the remote sources: a secret wins over an SSM parameter
+        const hit = [diskCacheId(entry, 'secretsmanager'), diskCacheId(entry, 'ssm')]
+          .filter(id => id && cached[id])
+          .map(id => cached[id])[0];
+        if (hit) {
+          values[key] = hit.value;
+          // SecureStrings stay secret when they're served from the cache
+          if (hit.secret && entry.fallbackSSM) {
+            secureParameters.add(entry.fallbackSSM);
+          }
         }
-        ssmValues[param] = value;
+      });
+      return values;
+    }
+  };
+
+  // Secrets Manager via the Lambda extension (only active inside Lambda)
+  const secretsManagerExtensionSource = {
+    name: 'secretsmanager-extension',
+    async fetchBatch(keys, context) {
+      if (!isLambda) {
+        return {};
       }
+      const secretValues = await fetchByRemoteId(keys, context, entry => entry.fallbackSecret, async (secretIds) => {
+        const results = await fetchFromExtension(secretIds, getSecretFromLambdaExtension);
+        return Object.fromEntries(secretIds.map((secretId, i) => [secretId, results[i]]));
+      });
+      return secretValuesForKeys(secretValues, context);
+    }
+  };
+
+  // Secrets Manager via the SDK client
+  const secretsManagerSource = {
+    name: 'secretsmanager',
+    async fetchBatch(keys, context) {
+      const secretValues = await fetchByRemoteId(keys, context, entry => entry.fallbackSecret, async (secretIds) => {
+        const results = await mapWithConcurrency(secretIds, ssmConcurrency, getSecretFromSecretsManager);
+        return Object.fromEntries(secretIds.map((secretId, i) => [secretId, results[i]]));
+      });
+      return secretValuesForKeys(secretValues, context);
+    }
+  };
 
-      // If Lambda extension failed, clear ssmValues to fetch all from SSM API
-      if (lambdaExtensionFailed) {
-        ssmValues = {};
+  // SSM via the Lambda extension (only active inside Lambda). Parameters are fetched
+  // concurrently, and only the ones the extension couldn't return fall through to the SSM API.
+  // Extension failures aren't reported as fetch errors since the SSM API retries them.
+  const ssmExtensionSource = {
+    name: 'ssm-extension',
+    async fetchBatch(keys, context) {
+      if (!isLambda) {
+        return {};
       }
+      const kmsKeys = kmsKeysForParameters(keys, context);
+      return fetchByRemoteId(keys, context, entry => entry.fallbackSSM, async (parameterNames) => {
+        const remainingParameters = parameterNames.filter(param => ssmPathValues[param] === undefined);
+        const results = await fetchFromExtension(remainingParameters,
+          param => getFromLambdaExtension(param, kmsKeys.get(param)));
+        const values = Object.fromEntries(remainingParameters.map((param, i) => [param, results[i]]));
+
+        const failedCount = results.filter(value => value === null).length;
+        if (failedCount > 0) {
+          log.debug(`${failedCount} of ${remainingParameters.length} SSM parameters unavailable via Lambda extension, falling back to SSM API`);
+        }
+        return values;
+      });
+    }
+  };
+
+  // SSM via the SDK client, using batch GetParameters calls grouped by KMS key. Parameters
+  // already returned by GetParametersByPath during this load aren't fetched again.
+  const ssmSource = {
+    name: 'ssm',
+    async fetchBatch(keys, context) {
+      const kmsKeys = kmsKeysForParameters(keys, context);
+      return fetchByRemoteId(keys, context, entry => entry.fallbackSSM, async (parameterNames) => {
+        const remainingParameters = parameterNames.filter(param => ssmPathValues[param] === undefined);
+        const values = remainingParameters.length > 0
+          ? await getBatchFromSSM(remainingParameters, kmsKeys)
+          : {};
+        return { ...ssmPathValues, ...values };
+      });
+    }
+  };
+
+  // Static fallbacks from the configMap
+  const staticSource = {
+    name: 'default',
+    async fetchBatch(keys, context) {
+      const values = {};
+      keys.forEach(key => {
+        if (context.configMap[key].fallbackStatic !== undefined) {
+          values[key] = context.configMap[key].fallbackStatic;
+        }
+      });
+      return values;
     }
+  };
+
+  const builtinSources = {
+    env: envSource,
+    diskCache: diskCacheSource,
+    secretsManagerExtension: secretsManagerExtensionSource,
+    secretsManager: secretsManagerSource,
+    ssmExtension: ssmExtensionSource,
+    ssm: ssmSource,
+    static: staticSource
+  };
+
+  const DEFAULT_SOURCES = [
+    envSource,
+    diskCacheSource,
+    secretsManagerExtensionSource,
+    secretsManagerSource,
+    ssmExtensionSource,
+    ssmSource,
+    staticSource
+  ];
 
-    // If not in Lambda or Lambda extension failed, fetch all from SSM API
-    if (Object.keys(ssmValues).length === 0) {
-      ssmValues = await getBatchFromSSM(ssmParameters, kmsKeyId);
+  // Values restored by loadFromSnapshot(). Not part of the chain: after a snapshot load,
+  // values are looked up in env (still read live), here and then in the static fallbacks.
+  const snapshotSource = {
+    name: 'snapshot',
+    async fetchBatch() {
+      return {};
     }
+  };
+
+  let sources = DEFAULT_SOURCES;  // Ordered source providers used by loadConfig
+  let fileSources = [];  // Providers added by the files option
 
-    // Store SSM values in cache for later access
-    ssmCache = { ...ssmValues };
+  if (instanceOptions.files !== undefined) {
+    configureFiles(instanceOptions.files);
   }
 
-  const configValues = [];
+  // Helper function to set up file sources from the files option: true for .env,
+  // config.<NODE_ENV>.json and config.json, or a list of paths, highest precedence first.
+  // They go right after env, replacing any added by an earlier call.
+  function configureFiles(option) {
+    ({ fileSources, sources } = planFileSources(option));
+  }
 
-  for (const [key, { envVar, fallbackSSM, fallbackStatic, type }] of Object.entries(configMap)) {
-    let value;
-    let source = 'env';
+  // Helper function to work out the file sources and source chain for the files option
+  // without applying them. Throws if the resulting chain isn't valid.
+  function planFileSources(option) {
+    const paths = option === true ? defaultConfigFiles() : (option || []);
+    const chain = sources.filter(source => !fileSources.includes(source));
+    const added = paths.map(filePath => createFileSource(filePath));
+    const insertAt = chain.indexOf(envSource) + 1;
+    const updated = [...chain.slice(0, insertAt), ...added, ...chain.slice(insertAt)];
+    validateSources(updated);
+    return { fileSources: added, sources: updated };
+  }
 
-    if (process.env[envVar]) {
-      value = process.env[envVar];
-    } else if (fallbackSSM) {
-      value = ssmValues[fallbackSSM] || null;
-      if (value !== null) {
-        source = 'ssm';
+  // Helper function to fetch every parameter under a path, following pagination
+  async function getParametersByPath(path) {
+    const values = {};
+    let nextToken;
+
+    do {
+      const command = new GetParametersByPathCommand({
+        Path: path,
+        Recursive: true,
+        WithDecryption: true,
+        NextToken: nextToken
+      });
+      const response = await sendWithRetry(ssmClient, command);
+      response.Parameters.forEach(param => {
+        values[param.Name] = param.Value;
+        recordParameterType(param);
+      });
+      nextToken = response.NextToken;
+    } while (nextToken);
+
+    log.debug(`Fetched ${Object.keys(values).length} SSM parameters under ${path}`);
+    return values;
+  }
+
+  // Helper function to merge parameters discovered under ssmPath into the configMap.
+  // Explicit configMap entries win for type and envVar; an entry without its own
+  // fallbackSSM picks up the discovered parameter with the same key.
+  function buildActiveMap(path, pathValues) {
+    const declaredPaths = new Set(Object.values(configMap)
+      .filter(({ fallbackSSM }) => fallbackSSM)
+      .map(({ fallbackSSM }) => fallbackSSM));
+
+    const discovered = {};
+    for (const name of Object.keys(pathValues)) {
+      if (declaredPaths.has(name)) {
+        continue;
+      }
+      const key = ssmPathNaming(name.slice(path.length).replace(/^\//, ''));
+      if (!key) {
+        continue;
+      }
+      if (discovered[key]) {
+        log.warn(`SSM parameters ${discovered[key].fallbackSSM} and ${name} both map to config key ${key}; using ${discovered[key].fallbackSSM}`);
+        continue;
       }
+      discovered[key] = { envVar: key, fallbackSSM: name, type: 'string' };
     }
 
-    if (value === null || value === undefined) {
-      value = fallbackStatic;
-      if (value !== undefined) {
-        source = 'default';
-      }
+    const merged = { ...discovered };
+    for (const [key, entry] of Object.entries(configMap)) {
+      merged[key] = discovered[key] && !entry.fallbackSSM
+        ? { ...entry, fallbackSSM: discovered[key].fallbackSSM }
+        : entry;
     }
+    return merged;
+  }
+
+  // Function to convert values based on the expected type
+  function convertValue(value, type, entry = {}) {
+    return typeRegistry.convert(value, type, entry);
+  }
 
-    if (value === null || value === undefined) {
-      throw new Error(`Missing configuration value for ${key}`);
+  // Helper function to turn a converted value into the string exported to process.env
+  function formatValue(value, type, entry = {}) {
+    return typeRegistry.format(value, type, entry);
+  }
+
+  // Helper function to convert a key's raw value, reusing the last result when the raw
+  // value hasn't changed so parsed objects aren't rebuilt on every access
+  function convertForKey(key, rawValue) {
+    const cached = parsedValues[key];
+    if (cached && cached.raw === rawValue) {
+      return cached.value;
     }
+    const entry = activeMap[key];
+    const value = convertValue(rawValue, entry.type, entry);
+    parsedValues[key] = { raw: rawValue, value };
+    return value;
+  }
+
+  // Function to register a custom value type, e.g. config.registerType('csv-set', v => new Set(v.split(',')))
+  function registerType(name, parse, options = {}) {
+    typeRegistry.register(name, parse, options);
+  }
+
+  // Helper function to run the source chain for a set of keys. Keys found by a source
+  // aren't passed to later ones, except for env: env values can change at runtime, so
+  // those keys still load their fallbacks. Returns a Map of source -> { [key]: rawValue }.
+  // Sources report failures other than not-found with context.reportFailure(key, err, remoteId);
+  // they're collected into `failures` as key -> [ConfigFetchError].
+  async function runSourceChain(keys, chain, kmsKeyId, failures = {}) {
+    const results = new Map();
+    let unresolved = keys;
 
-    const convertedValue = convertValue(value, type);
-    process.env[envVar] = String(convertedValue);
+    for (const source of chain) {
+      const reportFailure = (key, err, remoteId) => {
+        const kind = classifyFetchError(err);
+        if (kind === 'not-found') {
+          return;
+        }
+        const error = new ConfigFetchError({ key, source: source.name, remoteId, kind, cause: err });
+        failures[key] = [...(failures[key] || []), error];
+      };
+      const context = { configMap: activeMap, kmsKeyId, log, reportFailure };
+      const values = await fetchFromSource(source, unresolved, context, ssmConcurrency);
+      results.set(source, values);
+      if (source !== envSource) {
+        unresolved = unresolved.filter(key => values[key] === undefined);
+      }
+    }
 
-    configValues.push({ key, value: convertedValue, type, source });
+    return results;
   }
 
-  const sourceCounts = {};
-  configValues.forEach(({ source }) => {
-    sourceCounts[source] = (sourceCounts[source] || 0) + 1;
-  });
+  // Helper function to get the sources values are looked up in, which after a snapshot load
+  // are env, the snapshot and the static fallbacks
+  function lookupChain() {
+    return snapshotLoaded ? [envSource, snapshotSource, staticSource] : sources;
+  }
 
-  const summary = Object.entries(sourceCounts)
-    .map(([source, count]) => `${count} from ${source}`)
-    .join(', ');
-  log.summary(`Config loaded: ${summary}`);
-
-  if (!isQuietMode) {
-    log.info('Loaded configuration values:');
-    
-    configValues.forEach(({ key, value, type, source }) => {
-      switch (type) {
-        case 'string':
-          log.info(`  ${key}: (string) (${value.length} characters) (${source})`);
-          break;
-        case 'int':
-          const intDigits = String(value).replace(/^-/, '').length; // Count digits, ignoring minus sign
-          log.info(`  ${key}: (int) (${intDigits} digits) (${source})`);
-          break;
-        case 'float':
-          const floatStr = String(value);
-          const decimalPlaces = floatStr.includes('.') ? floatStr.split('.')[1].length : 0;
-          log.info(`  ${key}: (float) (${decimalPlaces} decimal places) (${source})`);
-          break;
-        case 'bool':
-          log.info(`  ${key}: (bool) (${source})`);
-          break;
-        default:
-          log.info(`  ${key}: (${type}) (${source})`);
+  // Helper function to get a key's cached value from the first non-env source that has one
+  function getCachedValue(key, cache = sourceValues) {
+    for (const source of lookupChain()) {
+      if (source === envSource) {
+        continue;
       }
-    });
+      const values = cache.get(source);
+      if (values && values[key] !== undefined) {
+        return { value: values[key], source: source.name };
+      }
+    }
+    return null;
   }
 
-  configInitialized = true;
-}
+  // Helper function to describe a failed conversion, naming the key and the source the
+  // value came from. Messages for secret entries leave out the value itself.
+  function conversionErrorMessage(key, source, err) {
+    const entry = activeMap[key];
+    const detail = isSecretKey(key)
+      ? `value is not a valid ${entry.type}`
+      : err.message;
+    return `${key} (from ${source}): ${detail}`;
+  }
 
-// Function to initialize and populate the config object
-async function initializeConfig(kmsKeyId = null, options = {}) {
-  if (!configMap) {
-    throw new Error('Configuration map not set. Call config.configMap = {...} before initializing.');
+  // Helper function to convert a raw value and check it against the entry's validation rules
+  function convertAndValidate(key, rawValue, source) {
+    const entry = activeMap[key];
+    try {
+      const value = convertValue(rawValue, entry.type, entry);
+      return { value, problems: validateValue(key, value, { ...entry, secret: isSecretKey(key) }) };
+    } catch (err) {
+      return { value: undefined, problems: [conversionErrorMessage(key, source, err)] };
+    }
   }
 
-  if (configInitialized) {
-    return Promise.resolve();
+  // Helper function to check whether a key's value must be kept out of logs, events and errors:
+  // entries marked `secret: true`, Secrets Manager values and SecureString parameters.
+  // `secret: false` opts an entry out of the automatic detection.
+  function isSecretKey(key) {
+    const entry = activeMap[key];
+    if (entry.secret !== undefined) {
+      return entry.secret === true;
+    }
+    return !!entry.fallbackSecret || (!!entry.fallbackSSM && secureParameters.has(entry.fallbackSSM));
   }
 
-  // If there's already an initialization in progress, return that promise
-  if (initializationPromise) {
-    return initializationPromise;
+  // Helper function to check whether a key's resolved value is written to process.env.
+  // By default values stay in the instance, so secrets aren't inherited by child processes.
+  function shouldExport(key) {
+    if (exportToEnv === 'non-secret') {
+      return !isSecretKey(key);
+    }
+    return exportToEnv === true;
   }
 
-  // Set quiet mode before creating the promise
-  if (options.quiet !== undefined) {
-    isQuietMode = options.quiet;
-    log.setQuietMode(options.quiet);
+  // Helper function to check whether fetch failures for an entry should fail the load
+  function isStrict(entry) {
+    return entry.strict !== undefined ? entry.strict === true : strictMode;
   }
 
-  // Create and store the promise before doing any async work
-  initializationPromise = loadConfig(kmsKeyId).catch(error => {
-    initializationPromise = null;
-    throw error;
-  });
+  // Helper function to save the values fetched from SSM and Secrets Manager to the disk cache.
+  // Failures are only logged; the cache is a convenience.
+  async function writeDiskCache(keys) {
+    if (!diskCache) {
+      return;
+    }
 
-  return initializationPromise;
-}
+    const now = Date.now();
+    const values = {};
+    keys.forEach(key => {
+      const cached = getCachedValue(key);
+      const id = cached && diskCacheId(activeMap[key], cached.source);
+      if (id) {
+        const { fallbackSSM, fallbackSecret } = activeMap[key];
+        const secret = !!fallbackSecret || (!!fallbackSSM && secureParameters.has(fallbackSSM));
+        values[id] = { value: cached.value, fetchedAt: sourceFetchedAt[key] || now, secret };
+      }
+    });
+    if (Object.keys(values).length === 0) {
+      return;
+    }
 
-// Function to get config values
-function getConfig(key) {
-  const { envVar, fallbackSSM, fallbackStatic, type } = configMap[key];
-  
-  if (!configInitialized) {
-    // If not initialized, return fallback or throw error
-    if (fallbackStatic !== undefined) {
-      return convertValue(fallbackStatic, type);
-    }
-    throw new Error('Config not initialized. Call initializeConfig() first.');
-  }
-  
-  // Always check environment variable first (allowing for dynamic updates)
-  if (process.env[envVar] !== undefined) {
-    return convertValue(process.env[envVar], type);
-  }
-  
-  // If we've stored an SSM value during initialization, use that
-  if (fallbackSSM && ssmCache[fallbackSSM] !== undefined) {
-    return convertValue(ssmCache[fallbackSSM], type);
-  }
-  
-  // Finally, fall back to static value
-  if (fallbackStatic !== undefined) {
-    return convertValue(fallbackStatic, type);
-  }
-  
-  throw new Error(`Missing configuration value for ${key}`);
-}
+    try {
+      await diskCache.write(values);
+      log.debug(`Saved ${Object.keys(values).length} config values to disk cache ${diskCache.path}`);
+    } catch (err) {
+      log.warn(`Error writing disk cache ${diskCache.path}: ${err.message}`);
+    }
+  }
+
+  // Helper function to get the refresh interval (ms) for a config entry, if any
+  function getTtl(entry) {
+    const ttl = entry.ttl !== undefined ? entry.ttl : defaultTtl;
+    return ttl > 0 ? ttl : null;
+  }
 
-// Create a proxy object for easy access to config values
-const config = new Proxy({}, {
-  get(target, prop) {
-    if (prop === 'initializeConfig') {
-      return initializeConfig;
+  // Helper function to re-run the source chain (except env) for the given keys and apply
+  // the new values. Values that fail to load keep their previously cached value.
+  async function refreshSourceValues(keys) {
+    // The disk cache would only hand back what was loaded, so it's skipped too
+    const chain = sources.filter(source => source !== envSource && source !== diskCacheSource);
+    const generation = loadGeneration;
+    extensionUnavailable = false;
+    const freshValues = await runSourceChain(keys, chain, activeKmsKeyId);
+    if (generation !== loadGeneration) {
+      return;  // reset() was called meanwhile, so these values are stale
     }
-    if (prop === 'configMap') {
-      return configMap;
+    const now = Date.now();
+    keys.forEach(key => {
+      sourceFetchedAt[key] = now;
+    });
+
+    // Only keep fresh values that still convert and validate, so a bad value in a
+    // source can't replace a good one that's already loaded
+    const merged = new Map(sources.map(source => [source, { ...sourceValues.get(source) }]));
+    for (const [source, values] of freshValues) {
+      Object.assign(merged.get(source), values);
     }
-    if (prop === 'getConfig') {
-      return getConfig;
+    // Freshly fetched values replace the ones served from the disk cache at load
+    const diskValues = merged.get(diskCacheSource);
+    if (diskValues) {
+      keys.forEach(key => {
+        if ([...freshValues.values()].some(values => values[key] !== undefined)) {
+          delete diskValues[key];
+        }
+      });
     }
-    if (prop === 'log') {
-      return log;
+    for (const key of keys) {
+      const candidate = getCachedValue(key, merged);
+      const problems = candidate ? convertAndValidate(key, candidate.value, candidate.source).problems : [];
+      if (problems.length > 0) {
+        log.warn(`Ignoring refreshed value for ${key}: ${problems.join('; ')}`);
+        for (const source of sources) {
+          const previous = sourceValues.get(source) || {};
+          if (previous[key] === undefined) {
+            delete merged.get(source)[key];
+          } else {
+            merged.get(source)[key] = previous[key];
+          }
+        }
+      }
     }
-    if (prop === 'isQuietMode') {
-      return isQuietMode;
+    sourceValues = merged;
+
+    for (const key of keys) {
+      const entry = activeMap[key];
+      const { envVar, type } = entry;
+      const cached = getCachedValue(key);
+
+      // loadConfig exported resolved values to process.env, so keep those in sync.
+      // Values the user set in the environment themselves are left untouched.
+      if (cached && shouldExport(key) && envOverride(envVar) === undefined) {
+        process.env[envVar] = formatValue(convertForKey(key, cached.value), type, entry);
+        exportedEnv[envVar] = process.env[envVar];
+      }
+
+      // Notify listeners about any value that changed as a result of the refresh
+      const { value, source } = resolveValue(key);
+      recordValue(key, value, source);
     }
-    if (prop === 'ssmClient') {
-      return ssmClient;
+
+    await writeDiskCache(keys);
+    log.debug(`Refreshed ${keys.length} config values`);
+  }
+
+  // Function to force a reload of all values from every source except env
+  async function refresh() {
+    if (!configInitialized) {
+      throw new Error('Config not initialized. Call initializeConfig() first.');
     }
-    return getConfig(prop);
-  },
-  set(target, prop, value) {
-    if (prop === 'configMap') {
-      configMap = value;
-      return true;
+
+    if (snapshotLoaded) {
+      throw new ConfigError('Config was loaded from a snapshot, which can\'t be refreshed. Call initializeConfig(null, { force: true }) to load from the sources');
     }
-    if (prop === 'log') {
-      log = value;
-      return true;
+
+    if (refreshPromise && !refreshIsPartial) {
+      return refreshPromise;
     }
-    if (prop === 'isQuietMode') {
-      isQuietMode = value;
-      log.setQuietMode(value);
-      return true;
+
+    // A background refresh only covers expired values, so reload everything after it
+    const generation = loadGeneration;
+    const pending = refreshPromise || Promise.resolve();
+    const promise = pending.then(() => {
+      if (generation !== loadGeneration) {
+        return;  // reset() was called meanwhile
+      }
+      return refreshSourceValues(Object.keys(activeMap));
+    }).finally(() => {
+      if (refreshPromise === promise) {
+        refreshPromise = null;
+      }
+    });
+    refreshPromise = promise;
+    refreshIsPartial = false;
+    return promise;
+  }
+
+  // Helper function to start a background refresh when a value's TTL has expired
+  function refreshIfStale(key) {
+    const ttl = getTtl(activeMap[key]);
+    if (!ttl || refreshPromise || snapshotLoaded || sourceFetchedAt[key] === undefined) {
+      return;
     }
-    if (prop === 'ssmClient') {
-      ssmClient = value;
-      return true;
+
+    const now = Date.now();
+    if (now - sourceFetchedAt[key] < ttl) {
+      return;
     }
-    return false;
+
+    // Refresh every expired value together rather than one at a time
+    const staleKeys = Object.keys(activeMap).filter(k => {
+      const entryTtl = getTtl(activeMap[k]);
+      return entryTtl && now - (sourceFetchedAt[k] || 0) >= entryTtl;
+    });
+
+    const promise = refreshSourceValues(staleKeys)
+      .catch(err => {
+        log.warn(`Background refresh of config values failed: ${err.message}`);
+      })
+      .finally(() => {
+        if (refreshPromise === promise) {
+          refreshPromise = null;
+        }
+      });
+    refreshPromise = promise;
+    refreshIsPartial = true;
   }
-});
+
+  // Helper function to stop a load that reset() was called during, so it can't overwrite
+  // the reset state or a newer load
+  function assertCurrentLoad(generation) {
+    if (generation !== loadGeneration) {
+      throw new ConfigError('Config was reset while it was loading. Call initializeConfig() again to load it');
+    }
+  }
+
+  // Function to preload and populate the config object
+  async function loadConfig(kmsKeyId = null) {
+    if (configInitialized) {
+      return;
+    }
+
+    const generation = loadGeneration;
+    retryCount = 0;
+    extensionUnavailable = false;
+    const errors = [];
+    const problems = [];
+
+    // Load the whole hierarchy first so discovered keys can join the configMap
+    activeMap = configMap;
+    ssmPathValues = {};
+    if (ssmPath) {
+      const path = normalizeSsmPath(ssmPath);
+      try {
+        ssmPathValues = await getParametersByPath(path);
+      } catch (err) {
+        log.warn(`Error fetching SSM parameters under ${path}: ${err.message}`);
+        // Keys under the path aren't known yet, so only global strict mode can catch this
+        if (strictMode && classifyFetchError(err) !== 'not-found') {
+          const error = new ConfigFetchError({ source: 'ssm', remoteId: path, kind: classifyFetchError(err), cause: err });
+          errors.push(error);
+          problems.push(error.message);
+        }
+      }
+      assertCurrentLoad(generation);
+      activeMap = buildActiveMap(path, ssmPathValues);
+    }
+
+    // Path values only seed this load; refreshes fetch those parameters again
+    const failures = {};
+    const loadedValues = await runSourceChain(Object.keys(activeMap), sources, kmsKeyId, failures);
+    assertCurrentLoad(generation);
+    sourceValues = loadedValues;
+    ssmPathValues = {};
+    fetchErrors = failures;
+
+    const now = Date.now();
+    sourceFetchedAt = Object.fromEntries(Object.keys(activeMap).map(key => [key, now]));
+    activeKmsKeyId = kmsKeyId;
+    parsedValues = {};
+
+    // Resolve and validate every key before exporting anything, so all problems are
+    // reported together in one error
+    const configValues = [];
+
+    for (const [key, entry] of Object.entries(activeMap)) {
+      // The first source in the chain with a value wins
+      const winningSource = sources.find(source => sourceValues.get(source)[key] !== undefined);
+
+      // A failure in a source ahead of the winner means the value fell back past it
+      const winnerIndex = winningSource ? sources.indexOf(winningSource) : sources.length;
+      const skippedFailures = (failures[key] || [])
+        .filter(error => sources.findIndex(source => source.name === error.source) < winnerIndex);
+      if (skippedFailures.length > 0) {
+        if (isStrict(entry)) {
+          errors.push(...skippedFailures);
+          problems.push(...skippedFailures.map(error => error.message));
+          continue;
+        }
+        const fallback = winningSource ? `fell back to ${winningSource.name}` : 'has no value';
+        log.warn(`${key} ${fallback} because ${skippedFailures.map(error => `${error.source} failed (${error.kind})`).join(', ')}`);
+      }
+
+      if (!winningSource) {
+        if (entry.required === false) {
+          configValues.push({ key, value: undefined, type: entry.type, source: null });
+        } else {
+          const error = new ConfigMissingError(key);
+          errors.push(error);
+          problems.push(error.message);
+        }
+        continue;
+      }
+
+      const result = convertAndValidate(key, sourceValues.get(winningSource)[key], winningSource.name);
+      problems.push(...result.problems);
+      configValues.push({
+        key,
+        value: result.value,
+        type: entry.type,
+        source: winningSource.name,
+        fromEnv: winningSource === envSource
+      });
+    }
+
+    if (problems.length > 0) {
+      throw createAggregateError(problems, errors);
+    }
+
+    await writeDiskCache(Object.keys(activeMap));
+    assertCurrentLoad(generation);
+
+    for (const { key, value, source, fromEnv } of configValues) {
+      if (value === undefined) {
+        continue;
+      }
+      const { envVar, type } = activeMap[key];
+      if (fromEnv) {
+        delete exportedEnv[envVar];
+      } else if (shouldExport(key)) {
+        process.env[envVar] = formatValue(value, type, activeMap[key]);
+        exportedEnv[envVar] = process.env[envVar];
+      }
+      recordValue(key, value, source);
+    }
+
+    const sourceCounts = {};
+    let unsetCount = 0;
+    configValues.forEach(({ source }) => {
+      if (source === null) {
+        unsetCount++;
+        return;
+      }
+      sourceCounts[source] = (sourceCounts[source] || 0) + 1;
+    });
+
+    const summaryParts = Object.entries(sourceCounts)
+      .map(([source, count]) => `${count} from ${source}`);
+    if (unsetCount > 0) {
+      summaryParts.push(`${unsetCount} not set`);
+    }
+    let summary = summaryParts.join(', ');
+    if (retryCount > 0) {
+      summary += ` (${retryCount} ${retryCount === 1 ? 'retry' : 'retries'})`;
+    }
+    log.summary(`Config loaded: ${summary}`);
+
+    if (!isQuietMode) {
+      log.info('Loaded configuration values:');
+
+      configValues.forEach(({ key, value, type, source }) => {
+        if (value === undefined) {
+          log.info(`  ${key}: (${type}) (not set)`);
+          return;
+        }
+        switch (type) {
+          case 'string':
+            log.info(`  ${key}: (string) (${value.length} characters) (${source})`);
+            break;
+          case 'int':
+            const intDigits = String(value).replace(/^-/, '').length; // Count digits, ignoring minus sign
+            log.info(`  ${key}: (int) (${intDigits} digits) (${source})`);
+            break;
+          case 'float':
+            const floatStr = String(value);
+            const decimalPlaces = floatStr.includes('.') ? floatStr.split('.')[1].length : 0;
+            log.info(`  ${key}: (float) (${decimalPlaces} decimal places) (${source})`);
+            break;
+          case 'bool':
+            log.info(`  ${key}: (bool) (${source})`);
+            break;
+          default:
+            log.info(`  ${key}: (${type}) (${source})`);
+        }
+      });
+    }
+
+    configInitialized = true;
+  }
+
+  // Function to initialize and populate the config object
+  async function initializeConfig(kmsKeyId = null, options = {}) {
+    if (!configMap) {
+      throw new Error('Configuration map not set. Call config.configMap = {...} before initializing.');
+    }
+
+    // Check the options before changing anything, so a rejected call leaves the config as it was
+    if (options.exportToEnv !== undefined) {
+      validateExportToEnv(options.exportToEnv);
+    }
+    const filePlan = options.files !== undefined ? planFileSources(options.files) : null;
+
+    // force discards the current values (or a load in progress) and loads again
+    if (options.force) {
+      reset();
+    }
+
+    if (configInitialized || initializationPromise) {
+      warnIfKmsKeyIgnored(kmsKeyId);
+    }
+
+    if (configInitialized) {
+      return Promise.resolve();
+    }
+
+    // If there's already an initialization in progress, return that promise
+    if (initializationPromise) {
+      return initializationPromise;
+    }
+
+    // Set quiet mode before creating the promise
+    if (options.quiet !== undefined) {
+      isQuietMode = options.quiet;
+      log.setQuietMode(options.quiet);
+    }
+
+    if (options.ssmConcurrency !== undefined) {
+      ssmConcurrency = options.ssmConcurrency;
+    }
+
+    if (options.extensionConcurrency !== undefined) {
+      extensionConcurrency = options.extensionConcurrency;
+    }
+
+    if (options.retry !== undefined) {
+      retryPolicy = { ...DEFAULT_RETRY_POLICY, ...options.retry };
+    }
+
+    if (options.extensionRetry !== undefined) {
+      extensionRetryPolicy = { ...DEFAULT_EXTENSION_RETRY_POLICY, ...options.extensionRetry };
+    }
+
+    if (options.ttl !== undefined) {
+      defaultTtl = options.ttl;
+    }
+
+    if (options.strict !== undefined) {
+      strictMode = options.strict;
+    }
+
+    if (options.exportToEnv !== undefined) {
+      exportToEnv = options.exportToEnv;
+    }
+
+    if (options.diskCache !== undefined) {
+      configureDiskCache(options.diskCache);
+    }
+
+    if (filePlan) {
+      ({ fileSources, sources } = filePlan);
+    }
+
+    if (options.ssmPath !== undefined) {
+      ssmPath = options.ssmPath;
+    }
+
+    if (options.ssmPathNaming !== undefined) {
+      ssmPathNaming = options.ssmPathNaming;
+    }
+
+    // Create and store the promise before doing any async work
+    initializingKmsKeyId = kmsKeyId || defaultKmsKeyId;
+    const promise = loadConfig(initializingKmsKeyId).catch(error => {
+      // A reset() during the load may already have started a newer one
+      if (initializationPromise === promise) {
+        initializationPromise = null;
+      }
+      throw error;
+    });
+    initializationPromise = promise;
+
+    return promise;
+  }
+
+  // Helper function to flag a later initializeConfig() call whose KMS key would be ignored
+  // because the config is already loaded, or loading, with a different one
+  function warnIfKmsKeyIgnored(kmsKeyId) {
+    if (!kmsKeyId || kmsKeyId === initializingKmsKeyId) {
+      return;
+    }
+    const message = `initializeConfig() was called with KMS key ${kmsKeyId}, but the config was already ` +
+      `initialized with ${initializingKmsKeyId || 'no KMS key'}. The new key is ignored; pass { force: true } to reload with it`;
+    if (strictMode) {
+      throw new ConfigError(message);
+    }
+    log.warn(message);
+  }
+
+  // Function to check the SSM parameters and secrets behind the configMap without loading
+  // it. Returns one result per key saying whether its value exists, could be fetched and
+  // converts to the entry's type. Environment variables and the Lambda extension are skipped.
+  async function check(kmsKeyId = null) {
+    if (!configMap) {
+      throw new Error('Configuration map not set. Call config.configMap = {...} before checking.');
+    }
+
+    const keys = Object.keys(activeMap);
+    const remoteSources = [secretsManagerSource, ssmSource];
+    const failures = {};
+    const results = await runSourceChain(keys, remoteSources, kmsKeyId || defaultKmsKeyId, failures);
+
+    return keys.map(key => {
+      const entry = activeMap[key];
+      const result = { key, source: null, remoteId: null, status: 'skipped', kind: null, message: null, ok: true };
+      if (!entry.fallbackSecret && !entry.fallbackSSM) {
+        return { ...result, message: 'no SSM parameter or secret' };
+      }
+
+      const found = remoteSources.find(source => results.get(source)[key] !== undefined);
+      if (found) {
+        const remoteId = found === ssmSource ? entry.fallbackSSM : entry.fallbackSecret;
+        const { problems } = convertAndValidate(key, results.get(found)[key], found.name);
+        return problems.length > 0
+          ? { ...result, source: found.name, remoteId, status: 'invalid', message: problems.join('; '), ok: false }
+          : { ...result, source: found.name, remoteId, status: 'ok' };
+      }
+
+      const [error] = failures[key] || [];
+      if (error) {
+        return {
+          ...result,
+          source: error.source,
+          remoteId: error.remoteId,
+          status: 'error',
+          kind: error.kind,
+          message: error.cause.message,
+          ok: false
+        };
+      }
+
+      // Not found anywhere: only a problem if nothing else can supply the value
+      const source = entry.fallbackSSM ? ssmSource.name : secretsManagerSource.name;
+      const remoteId = entry.fallbackSSM || entry.fallbackSecret;
+      let message = 'not found';
+      if (entry.fallbackStatic !== undefined) {
+        message = 'not found, falls back to fallbackStatic';
+      } else if (entry.required === false) {
+        message = 'not found, optional';
+      }
+      const ok = entry.fallbackStatic !== undefined || entry.required === false;
+      return { ...result, source, remoteId, status: 'missing', message, ok };
+    });
+  }
+
+  // Helper function to fetch the parameters under an SSM path, keyed by name relative to it
+  async function getRelativeParameters(path) {
+    const basePath = normalizeSsmPath(path);
+    const values = await getParametersByPath(basePath);
+    const parameters = new Map();
+    for (const [name, value] of Object.entries(values)) {
+      parameters.set(name.slice(basePath.length).replace(/^\//, ''), { value, secret: secureParameters.has(name) });
+    }
+    return parameters;
+  }
+
+  // Function to compare the parameters under two SSM paths, e.g. '/my-app/staging/' and
+  // '/my-app/prod/'. Lists the names (relative to each path) that are only under one of them
+  // or have different values. SecureString values are redacted unless includeSecrets is set.
+  async function diffPaths(fromPath, toPath, options = {}) {
+    const [fromParameters, toParameters] = await Promise.all([
+      getRelativeParameters(fromPath),
+      getRelativeParameters(toPath)
+    ]);
+
+    const names = [...new Set([...fromParameters.keys(), ...toParameters.keys()])].sort();
+    const differences = [];
+    for (const name of names) {
+      const from = fromParameters.get(name);
+      const to = toParameters.get(name);
+      if (from && to && from.value === to.value) {
+        continue;
+      }
+      const redact = !options.includeSecrets && ((from && from.secret) || (to && to.secret));
+      const display = parameter => {
+        if (!parameter) {
+          return undefined;
+        }
+        return redact ? REDACTED : parameter.value;
+      };
+      let change = 'changed';
+      if (!from) {
+        change = 'added';
+      } else if (!to) {
+        change = 'removed';
+      }
+      differences.push({ name, change, from: display(from), to: display(to) });
+    }
+    return differences;
+  }
+
+  // Helper function to read the current value and type of SSM parameters, for push
+  async function getCurrentParameters(names) {
+    const current = {};
+    for (const namesChunk of chunk(names, SSM_BATCH_SIZE)) {
+      let response;
+      try {
+        response = await sendWithRetry(ssmClient, new GetParametersCommand({ Names: namesChunk, WithDecryption: true }));
+      } catch (err) {
+        throw new ConfigFetchError({ source: ssmSource.name, remoteId: namesChunk.join(', '), kind: classifyFetchError(err), cause: err });
+      }
+      response.Parameters.forEach(param => {
+        current[param.Name] = { value: param.Value, type: param.Type };
+        recordParameterType(param);
+      });
+    }
+    return current;
+  }
+
+  // Function to create or update the SSM parameters behind configMap keys, e.g. to seed a new
+  // environment. `values` maps config keys to values, which are converted and validated like
+  // loaded ones before anything is written. Secret entries and existing SecureStrings are written
+  // as SecureString with the entry's KMS key; other parameters get `type`. Existing parameters
+  // are only changed with `overwrite`, and `dryRun` only reports what would change.
+  // Values are never logged.
+  async function push(options = {}) {
+    const { values = {}, overwrite = false, dryRun = false, type: defaultType = 'String' } = options;
+    if (!configMap) {
+      throw new Error('Configuration map not set. Call config.configMap = {...} before pushing.');
+    }
+    if (!['String', 'SecureString'].includes(defaultType)) {
+      throw new Error(`Invalid push type "${defaultType}". Expected 'String' or 'SecureString'`);
+    }
+
+    const problems = [];
+    const errors = [];
+    const keysByParameter = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (!isConfigKey(key)) {
+        const error = new UnknownConfigKeyError(key, findSimilarKeys(key, Object.keys(activeMap)));
+        errors.push(error);
+        problems.push(error.message);
+      } else if (!activeMap[key].fallbackSSM) {
+        problems.push(`${key} has no fallbackSSM parameter to push to`);
+      } else if (value === undefined || value === null) {
+        problems.push(`${key} has no value to push`);
+      } else if (keysByParameter[activeMap[key].fallbackSSM]) {
+        problems.push(`${keysByParameter[activeMap[key].fallbackSSM]} and ${key} both push to ${activeMap[key].fallbackSSM}`);
+      } else {
+        keysByParameter[activeMap[key].fallbackSSM] = key;
+      }
+    }
+    if (problems.length > 0) {
+      throw createAggregateError(problems, errors);
+    }
+
+    // Existing parameters decide between create, update and unchanged, and SecureStrings stay secure
+    const current = await getCurrentParameters(Object.keys(keysByParameter));
+
+    const planned = [];
+    for (const [parameter, key] of Object.entries(keysByParameter)) {
+      const entry = activeMap[key];
+      const type = isSecretKey(key) ? 'SecureString' : defaultType;
+      const rawValue = typeof values[key] === 'string' ? values[key] : formatValue(values[key], entry.type, entry);
+
+      try {
+        const value = convertValue(rawValue, entry.type, entry);
+        problems.push(...validateValue(key, value, { ...entry, secret: type === 'SecureString' }));
+      } catch (err) {
+        problems.push(type === 'SecureString' ? `${key}: value is not a valid ${entry.type}` : `${key}: ${err.message}`);
+        continue;
+      }
+
+      const existing = current[parameter];
+      let action = 'update';
+      if (!existing) {
+        action = 'create';
+      } else if (existing.value === rawValue && existing.type === type) {
+        action = 'unchanged';
+      } else if (!overwrite) {
+        action = 'skip';
+      }
+
+      let kmsKeyId = null;
+      if (type === 'SecureString') {
+        kmsKeyId = (entry.kmsKeyId !== undefined ? entry.kmsKeyId : options.kmsKeyId || activeKmsKeyId || defaultKmsKeyId) || null;
+      }
+      planned.push({ key, parameter, type, kmsKeyId, action, rawValue });
+    }
+    if (problems.length > 0) {
+      throw createAggregateError(problems);
+    }
+
+    const results = planned.map(({ rawValue, ...result }) => result);
+    const failures = [];
+    if (!dryRun) {
+      // One at a time: PutParameter has a low default throughput limit
+      for (const { key, parameter, type, kmsKeyId, action, rawValue } of planned) {
+        if (action !== 'create' && action !== 'update') {
+          continue;
+        }
+        const params = { Name: parameter, Value: rawValue, Type: type, Overwrite: action === 'update' };
+        if (kmsKeyId) {
+          params.KeyId = kmsKeyId;
+        }
+        try {
+          await sendWithRetry(ssmClient, new PutParameterCommand(params));
+          if (type === 'SecureString') {
+            secureParameters.add(parameter);
+          }
+          log.info(`${action === 'create' ? 'Created' : 'Updated'} SSM parameter ${parameter} (${type})`);
+        } catch (err) {
+          failures.push({ key, parameter, kind: classifyFetchError(err), cause: err });
+        }
+      }
+    }
+
+    const labels = { create: 'created', update: 'updated', unchanged: 'unchanged', skip: 'skipped' };
+    const counts = {};
+    results.forEach(({ key, action }) => {
+      const label = failures.some(failure => failure.key === key) ? 'failed' : labels[action];
+      counts[label] = (counts[label] || 0) + 1;
+    });
+    const summary = Object.entries(counts).map(([label, count]) => `${count} ${label}`).join(', ') || 'nothing to push';
+    log.summary(dryRun ? `Config push dry run (nothing written): ${summary}` : `Config pushed: ${summary}`);
+
+    if (failures.length > 0) {
+      throw new ConfigPushError(failures, results);
+    }
+    return results;
+  }
+
+  // Function to write the loaded values to a snapshot file, so other processes (scripts, child
+  // workers) can initialize synchronously with loadFromSnapshot(). With a passphrase the file
+  // is encrypted; without one, secret values are only written if allowPlaintextSecrets is set.
+  async function exportSnapshot(filePath, options = {}) {
+    if (!configInitialized) {
+      throw new Error('Config not initialized. Call initializeConfig() first.');
+    }
+
+    const passphrase = options.passphrase || process.env.SSM_CONFIG_SNAPSHOT_PASSPHRASE || null;
+    const now = Date.now();
+    const values = {};
+    const fetchedAt = {};
+    const secretKeys = [];
+    for (const key of Object.keys(activeMap)) {
+      // Environment variables and static defaults aren't written; the reading process has its own
+      const raw = getCachedValue(key);
+      if (!raw || raw.source === staticSource.name) {
+        continue;
+      }
+      values[key] = typeof raw.value === 'bigint' ? String(raw.value) : raw.value;
+      fetchedAt[key] = sourceFetchedAt[key] !== undefined ? sourceFetchedAt[key] : now;
+      if (isSecretKey(key)) {
+        secretKeys.push(key);
+      }
+    }
+
+    if (!passphrase && secretKeys.length > 0 && !options.allowPlaintextSecrets) {
+      throw new ConfigError(`Snapshot would contain secret values in plain text (${secretKeys.join(', ')}). ` +
+        'Pass a passphrase to encrypt it, or allowPlaintextSecrets: true');
+    }
+
+    // Keys discovered under ssmPath and which parameters are SecureStrings aren't in the
+    // configMap, so they travel with the values
+    const discovered = Object.fromEntries(Object.entries(activeMap).filter(([key]) => !configMap[key]));
+    const secure = Object.values(activeMap)
+      .map(entry => entry.fallbackSSM)
+      .filter(name => name && secureParameters.has(name));
+
+    await writeSnapshot(filePath, { createdAt: now, values, fetchedAt, discovered, secureParameters: secure }, passphrase);
+    log.debug(`Saved ${Object.keys(values).length} config values to snapshot ${filePath}${passphrase ? ' (encrypted)' : ''}`);
+  }
+
+  // Function to initialize synchronously from a file written by exportSnapshot(), for scripts
+  // and module-level code that can't await initializeConfig(). Throws if the snapshot's values
+  // are older than maxAge (default 1 hour) or don't validate against the configMap.
+  // Environment variables still override snapshot values, and nothing is fetched or refreshed.
+  function loadFromSnapshot(filePath, options = {}) {
+    if (!configMap) {
+      throw new Error('Configuration map not set. Call config.configMap = {...} before initializing.');
+    }
+
+    if (options.force) {
+      reset();
+    }
+    if (configInitialized) {
+      return;
+    }
+    if (initializationPromise) {
+      throw new ConfigError('initializeConfig() is still loading this config; pass { force: true } to load the snapshot instead');
+    }
+
+    const maxAge = options.maxAge !== undefined ? options.maxAge : DEFAULT_SNAPSHOT_MAX_AGE;
+    const passphrase = options.passphrase || process.env.SSM_CONFIG_SNAPSHOT_PASSPHRASE || null;
+    let snapshot;
+    try {
+      snapshot = readSnapshot(filePath, passphrase);
+    } catch (err) {
+      throw new ConfigError(err.message);
+    }
+
+    const fetchedTimes = Object.values(snapshot.fetchedAt);
+    const oldest = fetchedTimes.length > 0 ? Math.min(...fetchedTimes) : snapshot.createdAt;
+    const age = Date.now() - oldest;
+    if (age > maxAge) {
+      throw new ConfigError(`Config snapshot ${filePath} holds values loaded ${Math.round(age / 1000)}s ago, ` +
+        `older than maxAge (${Math.round(maxAge / 1000)}s). Call initializeConfig() to load fresh values`);
+    }
+
+    activeMap = { ...snapshot.discovered, ...configMap };
+    snapshot.secureParameters.forEach(name => secureParameters.add(name));
+    const values = Object.fromEntries(Object.entries(snapshot.values).filter(([key]) => activeMap[key]));
+    const staticValues = {};
+    Object.entries(activeMap).forEach(([key, entry]) => {
+      if (entry.fallbackStatic !== undefined) {
+        staticValues[key] = entry.fallbackStatic;
+      }
+    });
+    sourceValues = new Map([[snapshotSource, values], [staticSource, staticValues]]);
+    const loadedAt = Date.now();
+    sourceFetchedAt = Object.fromEntries(Object.keys(activeMap).map(key => [
+      key, values[key] !== undefined ? snapshot.fetchedAt[key] : loadedAt
+    ]));
+    snapshotLoaded = true;
+
+    // Validate everything before exporting, the same way loadConfig does
+    const errors = [];
+    const problems = [];
+    const configValues = [];
+    for (const key of Object.keys(activeMap)) {
+      const raw = findRawValue(key);
+      if (!raw) {
+        if (activeMap[key].required !== false) {
+          const error = new ConfigMissingError(key);
+          errors.push(error);
+          problems.push(error.message);
+        }
+        continue;
+      }
+      const result = convertAndValidate(key, raw.value, raw.source);
+      problems.push(...result.problems);
+      configValues.push({ key, value: result.value, source: raw.source });
+    }
+    if (problems.length > 0) {
+      reset();
+      throw createAggregateError(problems, errors);
+    }
+
+    for (const { key, value, source } of configValues) {
+      const { envVar, type } = activeMap[key];
+      if (source === envSource.name) {
+        delete exportedEnv[envVar];
+      } else if (shouldExport(key)) {
+        process.env[envVar] = formatValue(value, type, activeMap[key]);
+        exportedEnv[envVar] = process.env[envVar];
+      }
+      recordValue(key, value, source);
+    }
+
+    configInitialized = true;
+    log.summary(`Config loaded from snapshot ${filePath}: ${configValues.length} values, ${Math.round(age / 1000)}s old`);
+  }
+
+  // Function to forget everything loaded so far, so the next initializeConfig() loads again,
+  // e.g. with a new configMap or KMS key. Settings, clients, sources, types and listeners are
+  // kept, and so are the last values listeners saw, so the next load notifies them of anything
+  // that changed. Values this instance exported to process.env are removed, unless something
+  // else has changed them since. A load still in progress rejects instead of completing.
+  function reset() {
+    Object.values(activeMap || {}).forEach(({ envVar }) => {
+      if (exportedEnv[envVar] === undefined) {
+        return;
+      }
+      if (process.env[envVar] === exportedEnv[envVar]) {
+        delete process.env[envVar];
+      }
+      delete exportedEnv[envVar];
+    });
+
+    loadGeneration++;
+    configInitialized = false;
+    initializationPromise = null;
+    initializingKmsKeyId = null;
+    refreshPromise = null;
+    activeMap = configMap;
+    sourceValues = new Map();
+    sourceFetchedAt = {};
+    activeKmsKeyId = null;
+    snapshotLoaded = false;
+    parsedValues = {};
+    fetchErrors = {};
+    secureParameters.clear();
+    noKeyIdParameters.clear();
+  }
+
+  // Helper function to remember a key's converted value and notify listeners if it changed.
+  // The first value seen for a key is recorded without emitting a change.
+  function recordValue(key, value, source) {
+    const hadValue = Object.prototype.hasOwnProperty.call(resolvedValues, key);
+    const oldValue = resolvedValues[key];
+    resolvedValues[key] = value;
+
+    const entry = activeMap[key];
+    if (hadValue && !valuesEqual(oldValue, value, v => formatValue(v, entry.type, entry))) {
+      changeEmitter.emit(
+        { key, oldValue, newValue: value, source, isSecret: isSecretKey(key) },
+        (err) => log.warn(`Change listener for ${key} threw an error: ${err.message}`)
+      );
+    }
+  }
+
+  // Helper function to convert a value found at runtime, naming the key and source on failure
+  function convertFromSource(key, rawValue, source) {
+    try {
+      return convertForKey(key, rawValue);
+    } catch (err) {
+      throw new Error(conversionErrorMessage(key, source, err));
+    }
+  }
+
+  // Helper function to find a key's current raw value and the source it came from, or null
+  function findRawValue(key) {
+    const { envVar } = activeMap[key];
+
+    // Walk the sources in order. Environment variables are read live (allowing for
+    // dynamic updates), with the same rules as at load.
+    for (const source of lookupChain()) {
+      if (source === envSource) {
+        const envValue = envOverride(envVar);
+        if (envValue !== undefined) {
+          return { value: envValue, source: envSource.name };
+        }
+        continue;
+      }
+
+      const values = sourceValues.get(source);
+      if (values && values[key] !== undefined) {
+        return { value: values[key], source: source.name };
+      }
+    }
+    return null;
+  }
+
+  // Helper function to resolve a key's current value and the source it came from
+  function resolveValue(key) {
+    const raw = findRawValue(key);
+    if (raw) {
+      return { value: convertFromSource(key, raw.value, raw.source), source: raw.source };
+    }
+
+    // Optional keys with no value in any source are simply unset
+    if (activeMap[key].required === false) {
+      return { value: undefined, source: null };
+    }
+
+    throw new ConfigMissingError(key);
+  }
+
+  // Helper function to check whether a key is in the configMap (including keys found under ssmPath)
+  function isConfigKey(key) {
+    return typeof key === 'string' && !!activeMap && Object.prototype.hasOwnProperty.call(activeMap, key);
+  }
+
+  // Function to get config values
+  function getConfig(key) {
+    if (!isConfigKey(key)) {
+      const suggestions = activeMap ? findSimilarKeys(String(key), Object.keys(activeMap)) : [];
+      throw new UnknownConfigKeyError(String(key), suggestions, !!activeMap);
+    }
+
+    const { fallbackStatic } = activeMap[key];
+
+    if (!configInitialized) {
+      // If not initialized, return fallback or throw error
+      if (fallbackStatic !== undefined) {
+        return convertFromSource(key, fallbackStatic, staticSource.name);
+      }
+      throw new Error('Config not initialized. Call initializeConfig() first.');
+    }
+
+    // Serve the cached value now and re-fetch in the background if its TTL expired
+    refreshIfStale(key);
+
+    const { value, source } = resolveValue(key);
+    recordValue(key, value, source);
+    return value;
+  }
+
+  // Function to describe every config key without exposing secrets: where its value came
+  // from, when it was loaded and the value itself, masked for secrets unless includeSecrets is set
+  function describe(options = {}) {
+    if (!activeMap) {
+      return [];
+    }
+
+    return Object.keys(activeMap).map(key => {
+      const entry = activeMap[key];
+      const isSecret = isSecretKey(key);
+      const raw = configInitialized ? findRawValue(key) : null;
+
+      let value;
+      let error;
+      if (raw) {
+        try {
+          value = convertForKey(key, raw.value);
+        } catch (err) {
+          error = conversionErrorMessage(key, raw.source, err);
+        }
+      }
+
+      const description = {
+        key,
+        envVar: entry.envVar,
+        type: entry.type,
+        source: raw ? raw.source : null,
+        ssmPath: entry.fallbackSSM || null,
+        loadedAt: raw && sourceFetchedAt[key] !== undefined ? new Date(sourceFetchedAt[key]).toISOString() : null,
+        isSecret,
+        value: isSecret && !options.includeSecrets && value !== undefined ? REDACTED : value
+      };
+      if (error) {
+        description.error = error;
+      }
+      return description;
+    });
+  }
+
+  // Helper function to get the loaded values as a plain object, with secrets redacted
+  function redactedValues() {
+    return Object.fromEntries(describe().map(({ key, value }) => [key, value]));
+  }
+
+  // Function to serialize the config for JSON.stringify, with secrets redacted
+  function toJSON() {
+    const values = redactedValues();
+    for (const [key, value] of Object.entries(values)) {
+      if (typeof value === 'bigint' || (typeof value === 'object' && value !== null)) {
+        values[key] = JSON.parse(JSON.stringify(value, jsonReplacer));
+      }
+    }
+    return values;
+  }
+
+  // Function to register a listener for configuration changes
+  function on(event, listener, options = {}) {
+    if (event !== 'change') {
+      throw new Error(`Unsupported event "${event}". Supported events are: change`);
+    }
+    return changeEmitter.add(listener, options);
+  }
+
+  // Function to remove a previously registered change listener
+  function off(event, listener) {
+    if (event !== 'change') {
+      throw new Error(`Unsupported event "${event}". Supported events are: change`);
+    }
+    changeEmitter.remove(listener);
+  }
+
+  // Function to register a change listener for a single key
+  function watch(key, listener, options = {}) {
+    if (!activeMap || !activeMap[key]) {
+      throw new Error(`Cannot watch unknown config key "${key}"`);
+    }
+    return changeEmitter.add(listener, { ...options, key });
+  }
+
+  // Create a proxy object for easy access to config values. util.inspect reads the custom
+  // inspector from the proxy target, so console.log(config) shows redacted values.
+  const target = {
+    [util.inspect.custom](depth, inspectOptions) {
+      return `Config ${util.inspect(redactedValues(), inspectOptions)}`;
+    }
+  };
+  const config = new Proxy(target, {
+    get(target, prop) {
+      if (prop === 'initializeConfig') {
+        return initializeConfig;
+      }
+      if (prop === 'createConfig') {
+        return createConfig;
+      }
+      if (prop === 'defineConfig') {
+        return defineConfig;
+      }
+      if (prop === 'configMap') {
+        return configMap;
+      }
+      if (prop === 'ssmPath') {
+        return ssmPath;
+      }
+      if (prop === 'getConfig') {
+        return getConfig;
+      }
+      if (prop === 'describe') {
+        return describe;
+      }
+      if (prop === 'check') {
+        return check;
+      }
+      if (prop === 'diffPaths') {
+        return diffPaths;
+      }
+      if (prop === 'push') {
+        return push;
+      }
+      if (prop === 'toJSON') {
+        return toJSON;
+      }
+      if (prop === 'refresh') {
+        return refresh;
+      }
+      if (prop === 'reset') {
+        return reset;
+      }
+      if (prop === 'exportSnapshot') {
+        return exportSnapshot;
+      }
+      if (prop === 'loadFromSnapshot') {
+        return loadFromSnapshot;
+      }
+      if (prop === 'on') {
+        return on;
+      }
+      if (prop === 'off') {
+        return off;
+      }
+      if (prop === 'watch') {
+        return watch;
+      }
+      if (prop === 'registerType') {
+        return registerType;
+      }
+      if (prop === 'log') {
+        return log;
+      }
+      if (prop === 'isQuietMode') {
+        return isQuietMode;
+      }
+      if (prop === 'ssmClient') {
+        return ssmClient;
+      }
+      if (prop === 'secretsClient') {
+        return secretsClient;
+      }
+      if (prop === 'sources') {
+        return [...sources];  // A copy, so changes go through the validating setter
+      }
+      if (prop === 'providers') {
+        return builtinSources;
+      }
+      if (prop === 'fileSource') {
+        return createFileSource;
+      }
+      if (prop === 'fetchErrors') {
+        return fetchErrors;
+      }
+      if (Object.prototype.hasOwnProperty.call(errorClasses, prop)) {
+        return errorClasses[prop];
+      }
+      if (isConfigKey(prop)) {
+        return getConfig(prop);
+      }
+      // Symbols (Symbol.toPrimitive, util.inspect.custom...), Object.prototype members
+      // and probed properties aren't config lookups
+      if (typeof prop === 'symbol' || prop in target || PROBED_PROPS.includes(prop)) {
+        return Reflect.get(target, prop);
+      }
+      return getConfig(prop);  // Throws UnknownConfigKeyError with suggestions
+    },
+    // `in`, Object.keys() and friends see the configMap keys
+    has(target, prop) {
+      return isConfigKey(prop) || Reflect.has(target, prop);
+    },
+    ownKeys(target) {
+      return [...new Set([...Object.keys(activeMap || {}), ...Reflect.ownKeys(target)])];
+    },
+    getOwnPropertyDescriptor(target, prop) {
+      if (isConfigKey(prop)) {
+        // An accessor, so listing keys doesn't resolve every value
+        return { enumerable: true, configurable: true, get: () => getConfig(prop) };
+      }
+      return Reflect.getOwnPropertyDescriptor(target, prop);
+    },
+    set(target, prop, value) {
+      if (prop === 'configMap') {
+        configMap = value;
+        // Loaded values keep their map until reset() or { force: true } loads the new one
+        if (configInitialized || initializationPromise) {
+          log.warn('configMap was changed after initializeConfig(); call config.reset() or pass { force: true } to initializeConfig() to load it');
+        } else {
+          activeMap = value;
+        }
+        return true;
+      }
+      if (prop === 'ssmPath') {
+        ssmPath = value;
+        return true;
+      }
+      if (prop === 'log') {
+        log = value;
+        return true;
+      }
+      if (prop === 'isQuietMode') {
+        isQuietMode = value;
+        log.setQuietMode(value);
+        return true;
+      }
+      if (prop === 'ssmClient') {
+        ssmClient = value;
+        return true;
+      }
+      if (prop === 'secretsClient') {
+        secretsClient = value;
+        return true;
+      }
+      if (prop === 'sources') {
+        validateSources(value);
+        sources = [...value];
+        return true;
+      }
+      return false;
+    }
+  });
+
+  return config;
+}
+
+// Default instance, kept for backward compatibility with require('@dwkerwin/ssm-config')
+const config = createConfig();
 
 module.exports = config;
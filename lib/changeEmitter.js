@@ -0,0 +1,58 @@
+const { jsonReplacer } = require('./types');
+
+const REDACTED = '[REDACTED]';
+
+// Compare converted config values, including parsed objects and arrays. Objects must match
+// both as JSON and, when given, as `format` (the type's format()) output, so values of custom
+// types that JSON can't represent still count as changed.
+function valuesEqual(a, b, format = null) {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a === 'object' && typeof b === 'object' && a !== null && b !== null) {
+    return JSON.stringify(a, jsonReplacer) === JSON.stringify(b, jsonReplacer) &&
+      (!format || format(a) === format(b));
+  }
+  return Number.isNaN(a) && Number.isNaN(b);
+}
+
+class ChangeEmitter {
+  constructor() {
+    this.listeners = [];
+  }
+
+  // Register a listener, optionally for a single key. Returns a function that removes it.
+  add(fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new Error('Change listener must be a function');
+    }
+    this.listeners.push({
+      fn,
+      key: options.key || null,
+      includeSecrets: options.includeSecrets === true
+    });
+    return () => this.remove(fn);
+  }
+
+  remove(fn) {
+    this.listeners = this.listeners.filter(listener => listener.fn !== fn);
+  }
+
+  // Notify matching listeners. Secret values are redacted unless the listener opted in.
+  // Errors thrown by a listener are passed to onError so they can't break config loading.
+  emit({ key, oldValue, newValue, source, isSecret }, onError) {
+    for (const listener of this.listeners) {
+      if (listener.key && listener.key !== key) {
+        continue;
+      }
+      const redact = isSecret && !listener.includeSecrets;
+      try {
+        listener.fn(key, redact ? REDACTED : oldValue, redact ? REDACTED : newValue, source);
+      } catch (err) {
+        onError(err, key);
+      }
+    }
+  }
+}
+
+module.exports = { ChangeEmitter, valuesEqual, REDACTED };
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const ConfigLogger = require('./logger');
+const { parseDotenv, parseJsonConfig } = require('./fileSources');
+const { jsonReplacer } = require('./types');
+
+const USAGE = `Usage: ssm-config <command> [options]
+
+Commands:
+  check --config <module>             Check that every SSM parameter and secret in the configMap
+                                      exists, can be fetched and converts to its type
+  print --config <module> [--redact]  Load the config and print every value and its source
+  diff --env <a> --env <b>            Compare the SSM parameters under two prefixes
+  push --config <module> --values <file>
+                                      Create or update the configMap's SSM parameters with
+                                      the values in a .env or .json file
+
+Options:
+  -c, --config <module>  Module exporting a configMap, { configMap } or a config instance
+  --kms-key-id <id>      KMS key ID or alias for encrypted parameters
+                         (default: $SSM_PARAMETER_KMS_KEY)
+  --path <template>      Prefix compared by diff, with {env} replaced by each --env
+                         (default: /{env}/). An --env starting with / is used as is
+  --redact               Mask secret values in print and diff output
+  --values <file>        Values for push, by envVar or config key
+  --overwrite            Let push update parameters that already exist
+  --dry-run              Show what push would change without writing anything
+  --type <type>          Parameter type for push: String (default) or SecureString.
+                         Secret entries are always SecureString
+  --json                 Print JSON instead of a table
+  --verbose              Show the loader's log output
+  -h, --help             Show this help
+`;
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  env: { type: 'string', multiple: true },
+  path: { type: 'string' },
+  'kms-key-id': { type: 'string' },
+  redact: { type: 'boolean' },
+  values: { type: 'string' },
+  overwrite: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  type: { type: 'string' },
+  json: { type: 'boolean' },
+  verbose: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Thrown for bad command-line usage; reported with the usage text and exit code 2
+class UsageError extends Error {}
+
+// Helper function to build a logger that keeps stdout free for the command's own output
+function createCliLogger(io, verbose) {
+  const write = (...args) => io.stderr.write(`${util.format(...args)}\n`);
+  return new ConfigLogger({ quiet: !verbose, output: { debug: write, info: write, warn: write, error: write } });
+}
+
+// Helper function to get a config instance from a module that exports one, a configMap
+// or { configMap }. Instances are used as they are, keeping their clients, types and sources.
+function loadConfigModule(modulePath, logger) {
+  const ssmConfig = require('../index');
+  const exported = require(path.resolve(modulePath));
+
+  let config;
+  if (exported && typeof exported.initializeConfig === 'function') {
+    config = exported;
+  } else {
+    const configMap = exported && typeof exported.configMap === 'object' ? exported.configMap : exported;
+    config = ssmConfig.createConfig({ configMap });
+  }
+  if (!config.configMap || typeof config.configMap !== 'object') {
+    throw new Error(`${modulePath} doesn't export a configMap`);
+  }
+
+  config.log = logger;
+  return config;
+}
+
+// Helper function to lay out rows as left-aligned columns
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  return rows
+    .map(row => row.map((cell, column) => column === row.length - 1 ? cell : cell.padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
+
+// Helper function to show a converted value as text
+function displayValue(value) {
+  if (value === undefined) {
+    return '(not set)';
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (value instanceof URL) {
+    return value.href;
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  return JSON.stringify(value, jsonReplacer);
+}
+
+// Command to check every remote value in the configMap. Fails if any key would break initializeConfig.
+async function checkCommand(options, io, logger) {
+  const config = loadConfigModule(requireConfigOption(options), logger);
+  const results = await config.check(options['kms-key-id'] || process.env.SSM_PARAMETER_KMS_KEY || null);
+  const failed = results.filter(result => !result.ok);
+
+  if (options.json) {
+    io.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+  } else {
+    const rows = [['KEY', 'SOURCE', 'STATUS', 'DETAIL']];
+    results.forEach(({ key, source, remoteId, status, kind, message }) => {
+      rows.push([
+        key,
+        source ? `${source} ${remoteId}` : '-',
+        status === 'error' ? kind : status,
+        message || ''
+      ]);
+    });
+    io.stdout.write(`${formatTable(rows)}\n\n`);
+    io.stdout.write(failed.length === 0
+      ? `All ${results.length} keys OK\n`
+      : `${failed.length} of ${results.length} keys have problems\n`);
+  }
+  return failed.length === 0 ? 0 : 1;
+}
+
+// Command to load the config and print each value and the source it came from
+async function printCommand(options, io, logger) {
+  const config = loadConfigModule(requireConfigOption(options), logger);
+  try {
+    await config.initializeConfig(options['kms-key-id'] || process.env.SSM_PARAMETER_KMS_KEY || null, { quiet: !options.verbose });
+  } catch (err) {
+    if (err instanceof config.ConfigValidationError) {
+      io.stderr.write(`${err.message}\n`);
+      return 1;
+    }
+    throw err;
+  }
+
+  const descriptions = config.describe({ includeSecrets: !options.redact });
+  if (options.json) {
+    io.stdout.write(`${JSON.stringify(descriptions, jsonReplacer, 2)}\n`);
+  } else {
+    const rows = [['KEY', 'SOURCE', 'VALUE']];
+    descriptions.forEach(({ key, source, value, error }) => {
+      rows.push([key, source || '-', error ? `(error: ${error})` : displayValue(value)]);
+    });
+    io.stdout.write(`${formatTable(rows)}\n`);
+  }
+  return 0;
+}
+
+// Command to compare the parameters under two prefixes. Like diff(1), exits with 1 if they differ.
+async function diffCommand(options, io, logger) {
+  const envs = options.env || [];
+  if (envs.length !== 2) {
+    throw new UsageError('diff needs exactly two --env options, e.g. --env staging --env prod');
+  }
+  const template = options.path || '/{env}/';
+  if (!template.includes('{env}') && !envs.every(env => env.startsWith('/'))) {
+    throw new UsageError(`--path ${template} has no {env} placeholder`);
+  }
+  const [fromPath, toPath] = envs.map(env => env.startsWith('/') ? env : template.split('{env}').join(env));
+
+  const config = options.config ? loadConfigModule(options.config, logger) : require('../index').createConfig({ logger });
+  const differences = await config.diffPaths(fromPath, toPath, { includeSecrets: !options.redact });
+
+  if (options.json) {
+    io.stdout.write(`${JSON.stringify(differences, null, 2)}\n`);
+  } else if (differences.length === 0) {
+    io.stdout.write(`No differences between ${fromPath} and ${toPath}\n`);
+  } else {
+    io.stdout.write(`--- ${fromPath}\n+++ ${toPath}\n`);
+    const rows = differences.map(({ name, change, from, to }) => {
+      if (change === 'added') {
+        return ['+', name, to];
+      }
+      if (change === 'removed') {
+        return ['-', name, from];
+      }
+      return ['~', name, `${from} -> ${to}`];
+    });
+    io.stdout.write(`${formatTable(rows)}\n`);
+  }
+  return differences.length === 0 ? 0 : 1;
+}
+
+// Helper function to read push values from a .env or .json file. Names can be an entry's
+// envVar or its config key, like in config files loaded with the files option.
+function readValuesFile(filePath, configMap) {
+  const contents = fs.readFileSync(filePath, 'utf8');
+  const fileValues = path.extname(filePath).toLowerCase() === '.json' ? parseJsonConfig(contents) : parseDotenv(contents);
+  const keysByEnvVar = Object.fromEntries(Object.entries(configMap).map(([key, entry]) => [entry.envVar, key]));
+
+  const values = {};
+  for (const [name, value] of Object.entries(fileValues)) {
+    const key = Object.prototype.hasOwnProperty.call(configMap, name) ? name : keysByEnvVar[name] || name;
+    values[key] = value;
+  }
+  return values;
+}
+
+// Command to create or update SSM parameters from a values file. Values are never printed.
+async function pushCommand(options, io, logger) {
+  const config = loadConfigModule(requireConfigOption(options), logger);
+  if (!options.values) {
+    throw new UsageError('push needs a --values <file>');
+  }
+
+  let results;
+  let failed = false;
+  try {
+    results = await config.push({
+      values: readValuesFile(options.values, config.configMap),
+      kmsKeyId: options['kms-key-id'] || process.env.SSM_PARAMETER_KMS_KEY || null,
+      overwrite: options.overwrite,
+      dryRun: options['dry-run'],
+      type: options.type
+    });
+  } catch (err) {
+    if (!(err instanceof config.ConfigPushError)) {
+      throw err;
+    }
+    io.stderr.write(`${err.message}\n`);
+    results = err.results;
+    failed = true;
+  }
+
+  if (options.json) {
+    io.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+  } else {
+    const rows = [['KEY', 'PARAMETER', 'TYPE', 'ACTION']];
+    results.forEach(({ key, parameter, type, action }) => {
+      rows.push([key, parameter, type, action === 'skip' ? 'skip (exists, use --overwrite)' : action]);
+    });
+    io.stdout.write(`${formatTable(rows)}\n`);
+    if (options['dry-run']) {
+      io.stdout.write('\nDry run, nothing was written\n');
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+// Helper function to get the --config option for commands that need a configMap
+function requireConfigOption(options) {
+  if (!options.config) {
+    throw new UsageError('--config <module> is required');
+  }
+  return options.config;
+}
+
+const COMMANDS = {
+  check: checkCommand,
+  print: printCommand,
+  diff: diffCommand,
+  push: pushCommand
+};
+
+// Run the ssm-config command line with the given arguments. Resolves to the exit code:
+// 0 on success, 1 if the command found problems or failed, 2 for bad usage.
+async function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  try {
+    let parsed;
+    try {
+      parsed = util.parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+      throw new UsageError(err.message);
+    }
+    const { values: options, positionals } = parsed;
+
+    if (options.help || positionals.length === 0) {
+      io.stdout.write(USAGE);
+      return options.help ? 0 : 2;
+    }
+    const command = COMMANDS[positionals[0]];
+    if (!command || positionals.length > 1) {
+      throw new UsageError(command ? `Unexpected argument "${positionals[1]}"` : `Unknown command "${positionals[0]}"`);
+    }
+
+    return await command(options, io, createCliLogger(io, options.verbose));
+  } catch (err) {
+    if (err instanceof UsageError) {
+      io.stderr.write(`ssm-config: ${err.message}\n\n${USAGE}`);
+      return 2;
+    }
+    io.stderr.write(`ssm-config: ${err.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = { run };
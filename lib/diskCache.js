@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CACHE_VERSION = 2;  // 2: entries record whether the value is a secret
+const DEFAULT_DISK_CACHE_TTL = 60 * 60 * 1000;  // 1 hour
+const CIPHER = 'aes-256-gcm';
+
+// Default cache location, one file per AWS profile and region:
+// ~/.cache/ssm-config/<profile>/<region>.json
+function defaultCachePath() {
+  const profile = process.env.AWS_PROFILE || 'default';
+  const region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'default';
+  return path.join(os.homedir(), '.cache', 'ssm-config', profile, `${region}.json`);
+}
+
+// Default location of the generated local key, shared by every cache file
+function defaultKeyFile() {
+  return path.join(os.homedir(), '.cache', 'ssm-config', 'cache.key');
+}
+
+// File-backed cache of fetched config values. Every value is encrypted with AES-256-GCM,
+// using a key derived from `passphrase` when one is given, otherwise a random key kept
+// in `keyFile` (created with owner-only permissions on first use).
+class DiskCache {
+  constructor(options = {}) {
+    this.path = options.path || defaultCachePath();
+    this.ttl = options.ttl !== undefined ? options.ttl : DEFAULT_DISK_CACHE_TTL;
+    this.passphrase = options.passphrase || null;
+    this.keyFile = options.keyFile || defaultKeyFile();
+  }
+
+  // Read the values that haven't expired yet: { [remoteId]: { value, fetchedAt, secret } }.
+  // A missing file is an empty cache; anything unreadable throws.
+  async read() {
+    let file;
+    try {
+      file = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return {};
+      }
+      throw new Error(`Can't read disk cache ${this.path}: ${err.message}`);
+    }
+    if (file.version !== CACHE_VERSION || !file.entries) {
+      return {};
+    }
+
+    const key = await this.getKey(file.salt);
+    const now = Date.now();
+    const values = {};
+    for (const [remoteId, entry] of Object.entries(file.entries)) {
+      if (now - entry.fetchedAt >= this.ttl) {
+        continue;
+      }
+      values[remoteId] = { value: decrypt(entry, key), fetchedAt: entry.fetchedAt, secret: entry.secret === true };
+    }
+    return values;
+  }
+
+  // Merge { [remoteId]: { value, fetchedAt, secret } } into the cache file, dropping expired entries
+  async write(values) {
+    let file = null;
+    try {
+      file = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (err) {
+      // Start a new file if the old one is missing or unreadable
+    }
+    if (!file || file.version !== CACHE_VERSION || !file.entries || !file.salt) {
+      file = { version: CACHE_VERSION, salt: crypto.randomBytes(16).toString('base64'), entries: {} };
+    }
+
+    const key = await this.getKey(file.salt);
+    const now = Date.now();
+    // Drop expired entries and any written with a different key, so they can't break later reads
+    for (const [remoteId, entry] of Object.entries(file.entries)) {
+      if (now - entry.fetchedAt >= this.ttl || !canDecrypt(entry, key)) {
+        delete file.entries[remoteId];
+      }
+    }
+    for (const [remoteId, { value, fetchedAt, secret }] of Object.entries(values)) {
+      file.entries[remoteId] = { fetchedAt, secret: secret === true, ...encrypt(value, key) };
+    }
+
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true, mode: 0o700 });
+    // Write to a temporary file first so a crash can't leave a half-written cache
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(file), { mode: 0o600 });
+    await fs.promises.rename(tempPath, this.path);
+  }
+
+  // Get the 32-byte encryption key for a cache file
+  async getKey(salt) {
+    if (this.passphrase) {
+      return crypto.scryptSync(this.passphrase, Buffer.from(salt || '', 'base64'), 32);
+    }
+
+    try {
+      return Buffer.from(await fs.promises.readFile(this.keyFile, 'utf8'), 'base64');
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+    const key = crypto.randomBytes(32);
+    await fs.promises.mkdir(path.dirname(this.keyFile), { recursive: true, mode: 0o700 });
+    // 'wx' fails if another process created the key first; use theirs in that case
+    try {
+      await fs.promises.writeFile(this.keyFile, key.toString('base64'), { mode: 0o600, flag: 'wx' });
+      return key;
+    } catch (err) {
+      if (err.code === 'EEXIST') {
+        return Buffer.from(await fs.promises.readFile(this.keyFile, 'utf8'), 'base64');
+      }
+      throw err;
+    }
+  }
+}
+
+function encrypt(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(entry, key) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(entry.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (err) {
+    throw new Error('Can\'t decrypt disk cache, it was written with a different key or passphrase');
+  }
+}
+
+function canDecrypt(entry, key) {
+  try {
+    decrypt(entry, key);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = { DiskCache, DEFAULT_DISK_CACHE_TTL, defaultCachePath, encrypt, decrypt };
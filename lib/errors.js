@@ -0,0 +1,148 @@
+// Base class for every error thrown by the config loader
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+// A required key has no value in any source
+class ConfigMissingError extends ConfigError {
+  constructor(key) {
+    super(`Missing configuration value for ${key}`);
+    this.key = key;
+  }
+}
+
+// A key that isn't in the configMap was read. `suggestions` lists similarly named keys.
+class UnknownConfigKeyError extends ConfigError {
+  constructor(key, suggestions = [], configMapSet = true) {
+    let message = `Unknown config key "${key}"`;
+    if (!configMapSet) {
+      message += '. Set config.configMap before reading values';
+    } else if (suggestions.length > 0) {
+      message += `. Did you mean ${suggestions.map(suggestion => `"${suggestion}"`).join(' or ')}?`;
+    }
+    super(message);
+    this.key = key;
+    this.suggestions = suggestions;
+  }
+}
+
+// A source failed to fetch a value for a reason other than "not found", e.g. access
+// denied, a KMS failure or a network error. `kind` is one of the FETCH_ERROR_KINDS.
+class ConfigFetchError extends ConfigError {
+  constructor({ key, source, remoteId, kind, cause }) {
+    const target = key ? `${key} (${remoteId || key})` : remoteId;
+    super(`Failed to fetch ${target} from ${source}: ${kind}: ${cause.message}`);
+    this.key = key;
+    this.source = source;
+    this.remoteId = remoteId;
+    this.kind = kind;
+    this.cause = cause;
+  }
+}
+
+// One or more configuration problems found during a load. `problems` holds a message
+// per problem and `errors` the typed errors behind them, where there is one.
+class ConfigValidationError extends ConfigError {
+  constructor(problems, errors = []) {
+    const noun = problems.length === 1 ? 'problem' : 'problems';
+    const lines = problems.map(problem => `  - ${problem}`).join('\n');
+    super(`Invalid configuration (${problems.length} ${noun}):\n${lines}`);
+    this.problems = problems;
+    this.errors = errors;
+  }
+}
+
+// One or more parameters couldn't be written by config.push(). `failures` holds
+// { key, parameter, kind, cause } for each failed write and `results` the outcome for every key.
+class ConfigPushError extends ConfigError {
+  constructor(failures, results = []) {
+    const noun = failures.length === 1 ? 'parameter' : 'parameters';
+    const lines = failures
+      .map(({ key, parameter, kind, cause }) => `  - ${key} (${parameter}): ${kind}: ${cause.message}`)
+      .join('\n');
+    super(`Failed to push ${failures.length} ${noun}:\n${lines}`);
+    this.failures = failures;
+    this.results = results;
+  }
+}
+
+// Number of single-character edits needed to turn one string into another, counting a swap
+// of two adjacent characters as one edit (optimal string alignment distance)
+function editDistance(a, b) {
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Up to three keys that look like a misspelling of `key`, closest first. Case is ignored,
+// and the allowed number of edits grows with the length of the key.
+function findSimilarKeys(key, candidates) {
+  const target = key.toLowerCase();
+  const maxDistance = Math.max(1, Math.floor(key.length / 3));
+  return candidates
+    .map(candidate => ({ candidate, distance: editDistance(target, candidate.toLowerCase()) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(({ candidate }) => candidate);
+}
+
+const FETCH_ERROR_KINDS = ['not-found', 'access-denied', 'credentials', 'kms', 'throttled', 'network', 'unknown'];
+
+const NOT_FOUND_ERRORS = ['ParameterNotFound', 'ParameterVersionNotFound', 'ResourceNotFoundException'];
+const ACCESS_DENIED_ERRORS = ['AccessDeniedException', 'AccessDenied', 'UnauthorizedOperation'];
+const CREDENTIALS_ERRORS = ['CredentialsProviderError', 'UnrecognizedClientException', 'ExpiredTokenException', 'InvalidSignatureException'];
+const THROTTLING_ERRORS = ['ThrottlingException', 'Throttling', 'TooManyRequestsException', 'RequestLimitExceeded'];
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ECONNABORTED', 'ENOTFOUND'];
+
+// Sort an AWS SDK or axios error into one of the FETCH_ERROR_KINDS
+function classifyFetchError(err) {
+  const status = (err.$metadata && err.$metadata.httpStatusCode) || (err.response && err.response.status);
+
+  if (NOT_FOUND_ERRORS.includes(err.name) || status === 404) {
+    return 'not-found';
+  }
+  if (ACCESS_DENIED_ERRORS.includes(err.name) || status === 403) {
+    return 'access-denied';
+  }
+  if (CREDENTIALS_ERRORS.includes(err.name)) {
+    return 'credentials';
+  }
+  if (err.name === 'InvalidKeyId' || /^KMS/.test(err.name || '')) {
+    return 'kms';
+  }
+  if (THROTTLING_ERRORS.includes(err.name) || status === 429) {
+    return 'throttled';
+  }
+  if (NETWORK_CODES.includes(err.code) || err.name === 'TimeoutError') {
+    return 'network';
+  }
+  return 'unknown';
+}
+
+module.exports = {
+  ConfigError,
+  ConfigMissingError,
+  ConfigFetchError,
+  ConfigValidationError,
+  ConfigPushError,
+  UnknownConfigKeyError,
+  FETCH_ERROR_KINDS,
+  classifyFetchError,
+  findSimilarKeys
+};
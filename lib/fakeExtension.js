@@ -0,0 +1,88 @@
+const http = require('http');
+const { MemorySSMClient } = require('./memorySsmClient');
+
+const ACCESS_DENIED_ERRORS = ['AccessDeniedException', 'AccessDenied'];
+
+// Helper function to pick the HTTP status the extension would answer with for an AWS error
+function statusForError(err) {
+  if (ACCESS_DENIED_ERRORS.includes(err.name)) {
+    return 403;
+  }
+  return (err.$metadata && err.$metadata.httpStatusCode) || 500;
+}
+
+// Start an HTTP server that answers like the AWS Parameters and Secrets Lambda Extension on
+// localhost:2773. Parameters are read from `ssm` (a MemorySSMClient) and secrets from `secrets`,
+// a map of secret id to SecretString (or to an Error to fail with). Like the real extension,
+// requests need an X-Aws-Parameters-Secrets-Token header. Resolves to
+// { port, url, requests, ssm, secrets, close() }, where `requests` records every request.
+async function startFakeExtension({ ssm = new MemorySSMClient(), secrets = {}, port = 2773 } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    const query = Object.fromEntries(url.searchParams);
+    requests.push({ path: url.pathname, query, headers: req.headers });
+
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json' });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    };
+
+    if (!req.headers['x-aws-parameters-secrets-token']) {
+      send(401, 'Missing X-Aws-Parameters-Secrets-Token header');
+      return;
+    }
+
+    try {
+      if (url.pathname === '/systemsmanager/parameters/get') {
+        const parameter = ssm.readParameter(query.name, { WithDecryption: query.withDecryption === 'true' });
+        if (!parameter) {
+          send(404, `Parameter ${query.name} not found`);
+          return;
+        }
+        send(200, { Parameter: parameter, ResultMetadata: {} });
+        return;
+      }
+
+      if (url.pathname === '/secretsmanager/get') {
+        const secret = secrets[query.secretId];
+        if (secret instanceof Error) {
+          throw secret;
+        }
+        if (secret === undefined) {
+          send(404, `Secret ${query.secretId} not found`);
+          return;
+        }
+        send(200, { Name: query.secretId, SecretString: secret, VersionStages: ['AWSCURRENT'] });
+        return;
+      }
+
+      send(400, `Unsupported path ${url.pathname}`);
+    } catch (err) {
+      send(statusForError(err), err.message);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, 'localhost', resolve);
+  });
+
+  return {
+    port: server.address().port,
+    url: `http://localhost:${server.address().port}`,
+    requests,
+    ssm,
+    secrets,
+    close() {
+      // closeAllConnections() only exists on Node 18.2 and later
+      if (server.closeAllConnections) {
+        server.closeAllConnections();
+      }
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startFakeExtension };
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+// Default files for the `files` option, highest precedence first: a local .env,
+// then the overlay for the current NODE_ENV, then the base config.json
+function defaultConfigFiles(nodeEnv = process.env.NODE_ENV) {
+  const files = ['.env'];
+  if (nodeEnv) {
+    files.push(`config.${nodeEnv}.json`);
+  }
+  files.push('config.json');
+  return files;
+}
+
+// Parse the contents of a .env file into { NAME: value }. Supports comments, `export NAME=...`,
+// single quotes (taken literally) and double quotes (with \n, \r, \t, \" and \\ escapes).
+function parseDotenv(contents) {
+  const values = {};
+  contents.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('#')) {
+      return;
+    }
+
+    const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/.exec(line);
+    if (!match) {
+      throw new Error(`Invalid line ${index + 1}: expected NAME=value`);
+    }
+    const [, name, rawValue] = match;
+
+    if (rawValue.startsWith('"')) {
+      const end = /^"((?:[^"\\]|\\.)*)"\s*(#.*)?$/.exec(rawValue);
+      if (!end) {
+        throw new Error(`Invalid line ${index + 1}: unterminated double quote`);
+      }
+      const escapes = { n: '\n', r: '\r', t: '\t' };
+      values[name] = end[1].replace(/\\(.)/g, (_, char) => escapes[char] || char);
+    } else if (rawValue.startsWith('\'')) {
+      const end = /^'([^']*)'\s*(#.*)?$/.exec(rawValue);
+      if (!end) {
+        throw new Error(`Invalid line ${index + 1}: unterminated single quote`);
+      }
+      values[name] = end[1];
+    } else {
+      // Unquoted values end at an inline comment
+      values[name] = rawValue.replace(/\s+#.*$/, '').trim();
+    }
+  });
+  return values;
+}
+
+// Parse a JSON config file into { NAME: value }. Strings, objects and arrays are kept as
+// they are (for the string, json and array types); other values are turned into strings.
+function parseJsonConfig(contents) {
+  const parsed = JSON.parse(contents);
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Expected a JSON object of NAME: value pairs');
+  }
+  const values = {};
+  for (const [name, value] of Object.entries(parsed)) {
+    if (value === null) {
+      continue;
+    }
+    values[name] = typeof value === 'object' || typeof value === 'string' ? value : String(value);
+  }
+  return values;
+}
+
+// Create a source provider that reads a .env or .json file, labelled `file:<path>`.
+// Values are looked up by each entry's envVar, then by its config key. A missing file
+// has no values; a malformed one is reported as a fetch error. The file is read again
+// on every load and refresh, so edits are picked up by config.refresh().
+function createFileSource(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  const parse = path.extname(filePath).toLowerCase() === '.json' ? parseJsonConfig : parseDotenv;
+
+  return {
+    name: `file:${filePath}`,
+    async fetchBatch(keys, context) {
+      let contents;
+      try {
+        contents = await fs.promises.readFile(resolvedPath, 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          context.log.debug(`Config file ${filePath} not found, skipping`);
+          return {};
+        }
+        throw err;
+      }
+
+      let fileValues;
+      try {
+        fileValues = parse(contents);
+      } catch (err) {
+        throw new Error(`Can't parse config file ${filePath}: ${err.message}`);
+      }
+
+      const values = {};
+      keys.forEach(key => {
+        const { envVar } = context.configMap[key];
+        const value = fileValues[envVar] !== undefined ? fileValues[envVar] : fileValues[key];
+        if (value !== undefined) {
+          values[key] = value;
+        }
+      });
+      return values;
+    }
+  };
+}
+
+module.exports = { createFileSource, defaultConfigFiles, parseDotenv, parseJsonConfig };
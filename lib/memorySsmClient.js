@@ -0,0 +1,195 @@
+// KMS key SSM uses for SecureStrings created without a KeyId
+const DEFAULT_KMS_KEY = 'alias/aws/ssm';
+// GetParameters accepts at most 10 names, GetParametersByPath returns at most 10 per page
+const MAX_RESULTS = 10;
+
+// Build an error shaped like the ones the AWS SDK throws, e.g. createAwsError('ThrottlingException')
+function createAwsError(name, message = name, httpStatusCode = 400) {
+  const err = new Error(message);
+  err.name = name;
+  err.$fault = httpStatusCode >= 500 ? 'server' : 'client';
+  err.$metadata = { httpStatusCode, attempts: 1 };
+  return err;
+}
+
+// In-memory stand-in for the SSM client, for tests that shouldn't need AWS credentials.
+// Handles GetParameter, GetParameters, GetParametersByPath, PutParameter and DeleteParameter
+// commands with the response and error shapes SSM uses, including InvalidParameters,
+// SecureString decryption and the KeyId errors the mixed-encryption fallback relies on.
+// `parameters` maps names to values, or to { value, type, kmsKeyId }.
+class MemorySSMClient {
+  constructor(parameters = {}) {
+    this.parameters = new Map();
+    this.errors = new Map();  // Parameter name or path -> error thrown when it's read
+    this.deniedKmsKeys = new Set();  // KMS keys the caller isn't allowed to decrypt with
+    this.calls = [];  // { command, input } for every command sent
+
+    for (const [name, spec] of Object.entries(parameters)) {
+      const { value, ...options } = spec !== null && typeof spec === 'object' ? spec : { value: spec };
+      this.putParameter(name, value, options);
+    }
+  }
+
+  // Create or replace a parameter. SecureStrings without a kmsKeyId use the AWS managed key.
+  putParameter(name, value, { type = 'String', kmsKeyId = null } = {}) {
+    const previous = this.parameters.get(name);
+    this.parameters.set(name, {
+      name,
+      value: String(value),
+      type,
+      kmsKeyId: type === 'SecureString' ? kmsKeyId || DEFAULT_KMS_KEY : null,
+      version: previous ? previous.version + 1 : 1
+    });
+  }
+
+  deleteParameter(name) {
+    this.parameters.delete(name);
+  }
+
+  // Get a parameter's stored value, e.g. to check what config.push() wrote
+  getValue(name) {
+    const parameter = this.parameters.get(name);
+    return parameter ? parameter.value : undefined;
+  }
+
+  // Make every read of a parameter (or a GetParametersByPath call for a path) throw `error`.
+  // Pass null to clear it.
+  setError(name, error) {
+    if (error) {
+      this.errors.set(name, error);
+    } else {
+      this.errors.delete(name);
+    }
+  }
+
+  // Refuse to decrypt SecureStrings encrypted with a KMS key, like a missing kms:Decrypt permission
+  denyKmsKey(kmsKeyId) {
+    this.deniedKmsKeys.add(kmsKeyId);
+  }
+
+  async send(command) {
+    const commandName = command.constructor.name;
+    const input = command.input || {};
+    this.calls.push({ command: commandName, input });
+
+    switch (commandName) {
+      case 'GetParameterCommand':
+        return this.getParameter(input);
+      case 'GetParametersCommand':
+        return this.getParameters(input);
+      case 'GetParametersByPathCommand':
+        return this.getParametersByPath(input);
+      case 'PutParameterCommand':
+        return this.put(input);
+      case 'DeleteParameterCommand':
+        return this.delete(input);
+      default:
+        throw new Error(`MemorySSMClient doesn't support ${commandName}`);
+    }
+  }
+
+  // Read a parameter the way SSM would, or return null if it doesn't exist. Throws the errors
+  // SSM and KMS return for a wrong KeyId or a key the caller can't decrypt with.
+  readParameter(name, { WithDecryption = false, KeyId } = {}) {
+    if (this.errors.has(name)) {
+      throw this.errors.get(name);
+    }
+    const parameter = this.parameters.get(name);
+    if (!parameter) {
+      return null;
+    }
+
+    if (KeyId) {
+      if (parameter.type !== 'SecureString') {
+        throw createAwsError('ValidationException', `Parameter ${name} is not a SecureString, so KeyId ${KeyId} can't be used`);
+      }
+      if (parameter.kmsKeyId !== KeyId) {
+        throw createAwsError('InvalidKeyId', `Parameter ${name} is not encrypted with KeyId ${KeyId}`);
+      }
+    }
+
+    let value = parameter.value;
+    if (parameter.type === 'SecureString') {
+      if (!WithDecryption) {
+        // Stand-in for the ciphertext SSM returns without decryption
+        value = Buffer.from(`${parameter.kmsKeyId}:${parameter.value}`).toString('base64');
+      } else if (this.deniedKmsKeys.has(parameter.kmsKeyId)) {
+        throw createAwsError('AccessDeniedException', `User is not authorized to perform: kms:Decrypt on resource: ${parameter.kmsKeyId}`);
+      }
+    }
+    return { Name: name, Type: parameter.type, Value: value, Version: parameter.version };
+  }
+
+  getParameter(input) {
+    const parameter = this.readParameter(input.Name, input);
+    if (!parameter) {
+      throw createAwsError('ParameterNotFound', `Parameter ${input.Name} not found`);
+    }
+    return { Parameter: parameter };
+  }
+
+  getParameters(input) {
+    const names = [...new Set(input.Names || [])];
+    if (names.length === 0 || names.length > MAX_RESULTS) {
+      throw createAwsError('ValidationException', `GetParameters accepts 1 to ${MAX_RESULTS} names, got ${names.length}`);
+    }
+
+    const parameters = [];
+    const invalidParameters = [];
+    names.forEach(name => {
+      const parameter = this.readParameter(name, input);
+      if (parameter) {
+        parameters.push(parameter);
+      } else {
+        invalidParameters.push(name);
+      }
+    });
+    return { Parameters: parameters, InvalidParameters: invalidParameters };
+  }
+
+  getParametersByPath(input) {
+    const path = input.Path || '';
+    if (!path.startsWith('/')) {
+      throw createAwsError('ValidationException', `Path ${path} must start with /`);
+    }
+    if (this.errors.has(path)) {
+      throw this.errors.get(path);
+    }
+
+    const prefix = path === '/' ? '/' : `${path.replace(/\/+$/, '')}/`;
+    const names = [...this.parameters.keys()]
+      .filter(name => name.startsWith(prefix) && (input.Recursive || !name.slice(prefix.length).includes('/')))
+      .sort();
+
+    const start = input.NextToken ? Number(input.NextToken) : 0;
+    const pageSize = Math.min(input.MaxResults || MAX_RESULTS, MAX_RESULTS);
+    const page = names.slice(start, start + pageSize);
+    const response = { Parameters: page.map(name => this.readParameter(name, input)) };
+    if (start + pageSize < names.length) {
+      response.NextToken = String(start + pageSize);
+    }
+    return response;
+  }
+
+  put(input) {
+    const existing = this.parameters.get(input.Name);
+    if (existing && !input.Overwrite) {
+      throw createAwsError('ParameterAlreadyExists', `The parameter ${input.Name} already exists`);
+    }
+    this.putParameter(input.Name, input.Value, {
+      type: input.Type || (existing ? existing.type : 'String'),
+      kmsKeyId: input.KeyId
+    });
+    return { Version: this.parameters.get(input.Name).version, Tier: 'Standard' };
+  }
+
+  delete(input) {
+    if (!this.parameters.has(input.Name)) {
+      throw createAwsError('ParameterNotFound', `Parameter ${input.Name} not found`);
+    }
+    this.parameters.delete(input.Name);
+    return {};
+  }
+}
+
+module.exports = { MemorySSMClient, createAwsError, DEFAULT_KMS_KEY };
@@ -0,0 +1,98 @@
+// Default policy for SSM and Secrets Manager API calls
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 100,  // ms, doubled on every retry
+  maxDelay: 2000,  // ms, cap for a single delay
+  jitter: true,  // randomize delays so concurrent cold starts don't retry in lockstep
+  deadline: 10000  // ms, no retry starts after this much time since the first attempt
+};
+
+// Default policy for the Lambda extension, which may still be starting up on cold start
+const DEFAULT_EXTENSION_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 50,
+  maxDelay: 1000,
+  jitter: true,
+  deadline: 5000
+};
+
+const RETRYABLE_AWS_ERRORS = [
+  'ThrottlingException',
+  'Throttling',
+  'TooManyRequestsException',
+  'RequestLimitExceeded',
+  'InternalServerError',
+  'InternalServerErrorException',
+  'InternalFailure',
+  'ServiceUnavailable',
+  'ServiceUnavailableException',
+  'RequestTimeout',
+  'RequestTimeoutException',
+  'TimeoutError'
+];
+
+const RETRYABLE_NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ECONNABORTED'];
+
+// Throttling, server-side failures and network errors are worth retrying;
+// not-found, access denied and validation errors are not
+function isRetryableAwsError(err) {
+  if (RETRYABLE_AWS_ERRORS.includes(err.name) || RETRYABLE_NETWORK_CODES.includes(err.code)) {
+    return true;
+  }
+  const status = err.$metadata && err.$metadata.httpStatusCode;
+  return status === 429 || status >= 500;
+}
+
+// Connection failures (the extension isn't listening yet), throttling and 5xx
+// responses from the Lambda extension are worth retrying; 4xx responses are not
+function isRetryableExtensionError(err) {
+  if (RETRYABLE_NETWORK_CODES.includes(err.code)) {
+    return true;
+  }
+  const status = err.response && err.response.status;
+  return status === 429 || status >= 500;
+}
+
+// Delay before retry number `retry` (1-based), using "full jitter" when enabled
+function getRetryDelay(retry, policy) {
+  const exponential = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (retry - 1));
+  return policy.jitter ? Math.floor(Math.random() * exponential) : exponential;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Call `fn` until it succeeds, it throws a non-retryable error, the policy runs out of
+// attempts or the deadline would be passed. The last error is rethrown.
+// `onRetry(err, retry, delay)` is called before every retry.
+async function withRetry(fn, policy, isRetryable, onRetry = () => {}) {
+  const startedAt = Date.now();
+  let attempt = 1;
+
+  for (;;) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= policy.maxAttempts || !isRetryable(err)) {
+        throw err;
+      }
+      const delay = getRetryDelay(attempt, policy);
+      if (Date.now() - startedAt + delay > policy.deadline) {
+        throw err;
+      }
+      onRetry(err, attempt, delay);
+      await sleep(delay);
+      attempt++;
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  DEFAULT_EXTENSION_RETRY_POLICY,
+  isRetryableAwsError,
+  isRetryableExtensionError,
+  getRetryDelay,
+  withRetry
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { encrypt, decrypt } = require('./diskCache');
+const { jsonReplacer } = require('./types');
+
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_SNAPSHOT_MAX_AGE = 60 * 60 * 1000;  // 1 hour
+
+// Write a snapshot payload to a file readable only by its owner. With a passphrase the payload
+// is encrypted with AES-256-GCM, using a key derived from the passphrase and a random salt.
+// The file is written to a temporary path first so readers never see half of it.
+async function writeSnapshot(filePath, payload, passphrase = null) {
+  let file;
+  if (passphrase) {
+    const salt = crypto.randomBytes(16);
+    const key = crypto.scryptSync(passphrase, salt, 32);
+    file = { version: SNAPSHOT_VERSION, encrypted: true, salt: salt.toString('base64'), ...encrypt(JSON.stringify(payload, jsonReplacer), key) };
+  } else {
+    file = { version: SNAPSHOT_VERSION, encrypted: false, payload };
+  }
+
+  await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(file, jsonReplacer), { mode: 0o600 });
+  await fs.promises.rename(tempPath, filePath);
+}
+
+// Read a snapshot file synchronously and return its payload. Throws if the file is missing
+// or malformed, or is encrypted and the passphrase is missing or wrong.
+function readSnapshot(filePath, passphrase = null) {
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Can't read config snapshot ${filePath}: ${err.message}`);
+  }
+  if (!file || file.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Can't read config snapshot ${filePath}: unsupported format`);
+  }
+  if (!file.encrypted) {
+    return file.payload;
+  }
+
+  if (!passphrase) {
+    throw new Error(`Config snapshot ${filePath} is encrypted. Pass its passphrase or set SSM_CONFIG_SNAPSHOT_PASSPHRASE`);
+  }
+  const key = crypto.scryptSync(passphrase, Buffer.from(file.salt, 'base64'), 32);
+  try {
+    return JSON.parse(decrypt(file, key));
+  } catch (err) {
+    throw new Error(`Can't decrypt config snapshot ${filePath}, it was written with a different passphrase`);
+  }
+}
+
+module.exports = { writeSnapshot, readSnapshot, DEFAULT_SNAPSHOT_MAX_AGE };
@@ -0,0 +1,60 @@
+const { mapWithConcurrency } = require('./concurrency');
+
+// Check that a source provider has a name and at least one way to fetch values
+function validateSource(source) {
+  if (!source || typeof source.name !== 'string' || source.name === '') {
+    throw new Error('Config source must have a non-empty "name"');
+  }
+  if (typeof source.fetchBatch !== 'function' && typeof source.fetchOne !== 'function') {
+    throw new Error(`Config source "${source.name}" must implement fetchBatch(keys, context) or fetchOne(key, context)`);
+  }
+}
+
+// Check a full source list, including that provider names are unique so the
+// load summary can tell them apart
+function validateSources(sources) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new Error('Config sources must be a non-empty array');
+  }
+  const names = new Set();
+  sources.forEach(source => {
+    validateSource(source);
+    if (names.has(source.name)) {
+      throw new Error(`Duplicate config source name "${source.name}"`);
+    }
+    names.add(source.name);
+  });
+}
+
+// Fetch raw values for the given keys from one source. Returns { [key]: value } for
+// the keys the source found. Errors are logged and reported against every key so one
+// broken source can't stop the rest of the chain from loading.
+async function fetchFromSource(source, keys, context, concurrency) {
+  if (keys.length === 0) {
+    return {};
+  }
+
+  let results;
+  try {
+    if (typeof source.fetchBatch === 'function') {
+      results = await source.fetchBatch(keys, context);
+    } else {
+      const values = await mapWithConcurrency(keys, concurrency, key => source.fetchOne(key, context));
+      results = Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+    }
+  } catch (err) {
+    context.log.warn(`Error fetching config values from source ${source.name}: ${err.message}`);
+    keys.forEach(key => context.reportFailure(key, err));
+    return {};
+  }
+
+  const found = {};
+  for (const key of keys) {
+    if (results && results[key] !== undefined && results[key] !== null) {
+      found[key] = results[key];
+    }
+  }
+  return found;
+}
+
+module.exports = { validateSource, validateSources, fetchFromSource };
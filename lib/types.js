@@ -0,0 +1,237 @@
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const BYTE_UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 ** 2,
+  gb: 1024 ** 3,
+  tb: 1024 ** 4,
+  kib: 1024,
+  mib: 1024 ** 2,
+  gib: 1024 ** 3,
+  tib: 1024 ** 4
+};
+
+const INT_PATTERN = /^[+-]?\d+$/;
+const FLOAT_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+// JSON.stringify replacer for converted values, including ones nested in arrays and objects:
+// bigints are written as decimal strings instead of throwing, and Sets and Maps as arrays of
+// their values and entries instead of {}
+function jsonReplacer(key, value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value instanceof Set || value instanceof Map) {
+    return [...value];
+  }
+  return value;
+}
+
+// Parse a whole number, rejecting trailing garbage ("12abc") and values that
+// can't be represented exactly as a Number
+function parseIntStrict(value) {
+  const text = typeof value === 'number' ? String(value) : String(value).trim();
+  if (!INT_PATTERN.test(text)) {
+    throw new Error(`Invalid int value: "${value}". Expected a whole number`);
+  }
+  const number = Number(text);
+  if (!Number.isSafeInteger(number)) {
+    throw new Error(`Invalid int value: "${value}". It is outside the safe integer range, use type "bigint" instead`);
+  }
+  return number;
+}
+
+// Parse a finite decimal number, rejecting trailing garbage, NaN and Infinity
+function parseFloatStrict(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value;
+  }
+  const text = String(value).trim();
+  const number = Number(text);
+  if (!FLOAT_PATTERN.test(text) || !Number.isFinite(number)) {
+    throw new Error(`Invalid float value: "${value}". Expected a finite number`);
+  }
+  return number;
+}
+
+// Parse "30s", "5m", "1h30m" or "250ms" into milliseconds. Bare numbers are milliseconds.
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+
+  const partPattern = /(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)/gi;
+  let total = 0;
+  let consumed = '';
+  let match;
+  while ((match = partPattern.exec(text)) !== null) {
+    total += Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+    consumed += match[0];
+  }
+  if (consumed === '' || consumed.replace(/\s/g, '') !== text.replace(/\s/g, '')) {
+    throw new Error(`Invalid duration value: "${value}". Expected a number of milliseconds or units like "30s", "5m", "1h30m"`);
+  }
+  return total;
+}
+
+// Parse "512", "10MB" or "1.5 GiB" into a number of bytes. KB/MB/GB/TB are 1024-based.
+function parseBytes(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(String(value).trim());
+  const unit = match ? (match[2] || 'b').toLowerCase() : null;
+  if (!match || BYTE_UNITS[unit] === undefined) {
+    throw new Error(`Invalid bytes value: "${value}". Expected a number of bytes or units like "512KB", "10MB", "1GB"`);
+  }
+  return Math.floor(Number(match[1]) * BYTE_UNITS[unit]);
+}
+
+// Built-in types. `parse(value, entry, registry)` converts a raw source value and
+// `format(value, entry, registry)` turns the result back into a string for process.env.
+const BUILTIN_TYPES = {
+  string: {
+    parse: value => value  // No conversion needed for strings
+  },
+  int: {
+    parse: parseIntStrict
+  },
+  float: {
+    parse: parseFloatStrict
+  },
+  bigint: {
+    // For IDs beyond Number.MAX_SAFE_INTEGER
+    parse: value => {
+      if (typeof value === 'bigint') {
+        return value;
+      }
+      const text = String(value).trim();
+      if (!INT_PATTERN.test(text)) {
+        throw new Error(`Invalid bigint value: "${value}". Expected a whole number`);
+      }
+      return BigInt(text);
+    }
+  },
+  bool: {
+    parse: value => {
+      // Enhanced boolean conversion
+      if (value === 'true' || value === '1' || value === 1) {
+        return true;
+      } else if (value === 'false' || value === '0' || value === 0) {
+        return false;
+      }
+      // Preserve the original string for error message clarity
+      throw new Error(`Invalid boolean value: "${value}". Expected "true", "false", "1", "0"`);
+    }
+  },
+  json: {
+    parse: value => {
+      if (typeof value !== 'string') {
+        return value;
+      }
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        throw new Error(`Invalid JSON value: ${err.message}`);
+      }
+    },
+    format: value => JSON.stringify(value)
+  },
+  array: {
+    // Split on `delimiter` (default ",") and convert each item to `itemType` (default "string")
+    parse: (value, entry, registry) => {
+      const itemType = entry.itemType || 'string';
+      const items = Array.isArray(value)
+        ? value
+        : String(value).split(entry.delimiter || ',').map(item => item.trim()).filter(item => item !== '');
+      return items.map(item => registry.convert(item, itemType, {}));
+    },
+    format: (value, entry, registry) => value
+      .map(item => registry.format(item, entry.itemType || 'string', {}))
+      .join(entry.delimiter || ',')
+  },
+  url: {
+    parse: value => {
+      try {
+        return new URL(String(value));
+      } catch (err) {
+        throw new Error(`Invalid URL value: "${value}"`);
+      }
+    },
+    format: value => value.href
+  },
+  duration: {
+    parse: parseDuration
+  },
+  bytes: {
+    parse: parseBytes
+  },
+  enum: {
+    // Like string, but the value must be one of the entry's `enum` list
+    parse: (value, entry) => {
+      if (!Array.isArray(entry.enum)) {
+        throw new Error('Type "enum" requires an "enum" array of allowed values');
+      }
+      if (!entry.enum.includes(value)) {
+        throw new Error(`Invalid enum value: "${value}". Expected one of: ${entry.enum.join(', ')}`);
+      }
+      return value;
+    }
+  }
+};
+
+class TypeRegistry {
+  constructor() {
+    this.types = { ...BUILTIN_TYPES };
+  }
+
+  // Register a custom type. `parse(value, entry)` returns the converted value or throws;
+  // the optional `options.format(value, entry)` controls how it's written to process.env.
+  register(name, parse, options = {}) {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Type name must be a non-empty string');
+    }
+    if (typeof parse !== 'function') {
+      throw new Error(`Parser for type "${name}" must be a function`);
+    }
+    if (BUILTIN_TYPES[name]) {
+      throw new Error(`Cannot replace built-in type "${name}"`);
+    }
+    this.types[name] = { parse, format: options.format };
+  }
+
+  names() {
+    return Object.keys(this.types);
+  }
+
+  // Convert a raw value to the given type, validating the type is supported
+  convert(value, type, entry = {}) {
+    const definition = this.types[type];
+    if (!definition) {
+      throw new Error(`Invalid type "${type}". Supported types are: ${this.names().join(', ')}`);
+    }
+    return definition.parse(value, entry, this);
+  }
+
+  // Turn a converted value back into a string, e.g. for exporting to process.env
+  format(value, type, entry = {}) {
+    const definition = this.types[type];
+    if (definition && definition.format) {
+      return definition.format(value, entry, this);
+    }
+    return String(value);
+  }
+}
+
+module.exports = { TypeRegistry, jsonReplacer, parseIntStrict, parseFloatStrict, parseDuration, parseBytes };
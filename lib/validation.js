@@ -0,0 +1,64 @@
+const { ConfigValidationError } = require('./errors');
+
+// Format a value for a validation message without leaking secrets
+function describeValue(value, entry) {
+  if (entry.secret === true) {
+    return '[REDACTED]';
+  }
+  return JSON.stringify(value);
+}
+
+// Check a converted value against the validation rules on its configMap entry:
+// enum, min/max (int and float), pattern (string) and a custom validate function.
+// Returns a message for every rule the value breaks, or an empty array.
+function validateValue(key, value, entry) {
+  const problems = [];
+
+  if (Array.isArray(entry.enum) && !entry.enum.includes(value)) {
+    const allowed = entry.enum.map(option => JSON.stringify(option)).join(', ');
+    problems.push(`${key} must be one of ${allowed} (got ${describeValue(value, entry)})`);
+  }
+
+  if (typeof value === 'number') {
+    if (entry.min !== undefined && value < entry.min) {
+      problems.push(`${key} must be at least ${entry.min} (got ${describeValue(value, entry)})`);
+    }
+    if (entry.max !== undefined && value > entry.max) {
+      problems.push(`${key} must be at most ${entry.max} (got ${describeValue(value, entry)})`);
+    }
+  }
+
+  if (entry.pattern !== undefined && typeof value === 'string') {
+    const pattern = entry.pattern instanceof RegExp ? entry.pattern : new RegExp(entry.pattern);
+    // Reset lastIndex so global/sticky patterns behave the same on every check
+    pattern.lastIndex = 0;
+    if (!pattern.test(value)) {
+      problems.push(`${key} must match pattern ${pattern} (got ${describeValue(value, entry)})`);
+    }
+  }
+
+  if (typeof entry.validate === 'function') {
+    // validate(value, key) passes by returning true or undefined; returning false fails
+    // with a generic message, and returning a string or throwing uses that as the message
+    let result;
+    try {
+      result = entry.validate(value, key);
+    } catch (err) {
+      result = err.message;
+    }
+    if (result === false) {
+      problems.push(`${key} failed custom validation`);
+    } else if (typeof result === 'string') {
+      problems.push(`${key} ${result}`);
+    }
+  }
+
+  return problems;
+}
+
+// Build one error that lists every configuration problem found during a load
+function createAggregateError(problems, errors = []) {
+  return new ConfigValidationError(problems, errors);
+}
+
+module.exports = { validateValue, createAggregateError };
@@ -0,0 +1,71 @@
+import ssmConfig = require('./index');
+
+declare namespace testing {
+  interface ParameterSpec {
+    value: string | number | boolean;
+    /** Default: 'String' */
+    type?: 'String' | 'StringList' | 'SecureString';
+    /** KMS key of a SecureString. Default: 'alias/aws/ssm' */
+    kmsKeyId?: string | null;
+  }
+
+  interface MemorySSMClient {
+    /** Every command sent, in order */
+    calls: RecordedCall[];
+    send(command: any): Promise<any>;
+    putParameter(name: string, value: string | number | boolean, options?: Omit<ParameterSpec, 'value'>): void;
+    deleteParameter(name: string): void;
+    getValue(name: string): string | undefined;
+    /** Make reads of a parameter or path throw `error`; pass null to clear it */
+    setError(name: string, error: Error | null): void;
+    /** Refuse to decrypt SecureStrings encrypted with this key */
+    denyKmsKey(kmsKeyId: string): void;
+  }
+
+  interface RecordedCall {
+    /** Command class name, e.g. 'GetParametersCommand' */
+    command: string;
+    input: Record<string, any>;
+  }
+
+  interface ExtensionRequest {
+    path: string;
+    query: Record<string, string>;
+    headers: Record<string, string | string[] | undefined>;
+  }
+
+  interface FakeExtension {
+    port: number;
+    url: string;
+    /** Every request the extension received */
+    requests: ExtensionRequest[];
+    ssm: MemorySSMClient;
+    secrets: Record<string, string | Error>;
+    close(): Promise<void>;
+  }
+
+  interface FakeExtensionOptions {
+    /** Where parameters are read from. Default: an empty MemorySSMClient */
+    ssm?: MemorySSMClient;
+    /** Secret id -> SecretString, or an Error to fail with */
+    secrets?: Record<string, string | Error>;
+    /** Default: 2773, the port the library calls */
+    port?: number;
+  }
+}
+
+declare const testing: {
+  /** In-memory stand-in for the SSM client, for tests that shouldn't need AWS credentials */
+  MemorySSMClient: new (parameters?: Record<string, string | number | boolean | testing.ParameterSpec>) => testing.MemorySSMClient;
+  /** Build an error shaped like the ones the AWS SDK throws */
+  createAwsError(name: string, message?: string, httpStatusCode?: number): Error & {
+    $fault: 'client' | 'server';
+    $metadata: { httpStatusCode: number; attempts: number };
+  };
+  /** Start a server that answers like the Parameters and Secrets Lambda Extension on localhost:2773 */
+  startFakeExtension(options?: testing.FakeExtensionOptions): Promise<testing.FakeExtension>;
+  /** Clear a config instance's loaded state so the next initializeConfig() loads again */
+  resetConfig(config?: ssmConfig.ConfigMethods<any>): void;
+};
+
+export = testing;
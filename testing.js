@@ -0,0 +1,12 @@
+// Helpers for testing code that uses the config loader without AWS credentials:
+// require('@dwkerwin/ssm-config/testing')
+const { MemorySSMClient, createAwsError } = require('./lib/memorySsmClient');
+const { startFakeExtension } = require('./lib/fakeExtension');
+
+// Function to clear a config instance's loaded state between tests with config.reset(), so
+// the next initializeConfig() loads again. Defaults to the shared instance.
+function resetConfig(config = require('./index')) {
+  config.reset();
+}
+
+module.exports = { MemorySSMClient, createAwsError, startFakeExtension, resetConfig };
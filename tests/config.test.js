@@ -1,12 +1,11 @@
-const { SSMClient, PutParameterCommand, DeleteParameterCommand } = require('@aws-sdk/client-ssm');
+const { PutParameterCommand, DeleteParameterCommand } = require('@aws-sdk/client-ssm');
+const { MemorySSMClient } = require('../testing');
 
 // Set AWS region before requiring any AWS SDK clients
 process.env.AWS_REGION = process.env.AWS_REGION || 'us-east-1';
 
-// Create SSM client for test setup/teardown using default credential chain
-const ssmClient = new SSMClient({ 
-    region: process.env.AWS_REGION
-});
+// In-memory SSM used for test setup/teardown and by the config, so no AWS credentials are needed
+const ssmClient = new MemorySSMClient();
 
 describe('SSM Config', () => {
   // Add KMS key alias to test params
@@ -98,6 +97,7 @@ describe('SSM Config', () => {
       AWS_REGION: region,
       AWS_PROFILE: profile
     };
+    require('../index').ssmClient = ssmClient;
   });
 
   test('should load values from environment variables', async () => {
@@ -538,6 +538,15 @@ describe('SSM Config', () => {
     expect(config.BOOL_FALLBACK_TRUE_KEY).toBe(true);
   });
 
+  test('should name the key and source when a static fallback read before initialization is malformed', () => {
+    const config = require('../index');
+    config.configMap = {
+      PORT: { envVar: 'PORT', fallbackStatic: '12abc', type: 'int' }
+    };
+
+    expect(() => config.PORT).toThrow('PORT (from default): Invalid int value: "12abc". Expected a whole number');
+  });
+
   test('should handle the case where environment variable is undefined after initialization', async () => {
     // Do NOT set environment variables
     
@@ -590,3 +599,2347 @@ describe('SSM Config', () => {
     expect(config.DYNAMIC_KEY).toBe('test-string-value');
   });
 });
+
+// These tests use a mocked SSM client and don't need AWS credentials
+describe('SSM Config with mocked SSM client', () => {
+  const ConfigLogger = require('../lib/logger');
+
+  // Build a logger whose output is captured by jest spies
+  function createMockLogger() {
+    return new ConfigLogger({
+      output: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+      }
+    });
+  }
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env = {};
+  });
+
+  test('should split batch SSM fetches into chunks of at most 10 names', async () => {
+    const config = require('../index');
+    const names = Array.from({ length: 35 }, (_, i) => `/test/chunked/param-${i}`);
+
+    const requestedChunks = [];
+    const mockSend = jest.fn().mockImplementation(async (command) => {
+      const chunkNames = command.input.Names;
+      requestedChunks.push(chunkNames);
+      return {
+        Parameters: chunkNames.map(Name => ({ Name, Value: `value-of-${Name}` })),
+        InvalidParameters: []
+      };
+    });
+
+    config.configMap = Object.fromEntries(names.map((name, i) => [
+      `KEY_${i}`, { envVar: `CHUNK_VAL_${i}`, fallbackSSM: name, type: 'string' }
+    ]));
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    await config.initializeConfig();
+
+    expect(mockSend).toHaveBeenCalledTimes(4);
+    requestedChunks.forEach(chunkNames => expect(chunkNames.length).toBeLessThanOrEqual(10));
+    expect(config.KEY_0).toBe('value-of-/test/chunked/param-0');
+    expect(config.KEY_34).toBe('value-of-/test/chunked/param-34');
+  });
+
+  test('should keep results from other chunks when one chunk fails', async () => {
+    const config = require('../index');
+    const names = Array.from({ length: 15 }, (_, i) => `/test/chunked/param-${i}`);
+
+    const mockSend = jest.fn().mockImplementation(async (command) => {
+      const chunkNames = command.input.Names;
+      if (chunkNames.includes('/test/chunked/param-0')) {
+        throw new Error('Simulated chunk failure');
+      }
+      return {
+        Parameters: chunkNames
+          .filter(Name => Name !== '/test/chunked/param-14')
+          .map(Name => ({ Name, Value: 'ok' })),
+        InvalidParameters: ['/test/chunked/param-14']
+      };
+    });
+
+    const mockLogger = createMockLogger();
+    config.configMap = Object.fromEntries(names.map((name, i) => [
+      `KEY_${i}`, { envVar: `CHUNK_VAL_${i}`, fallbackSSM: name, fallbackStatic: 'static', type: 'string' }
+    ]));
+    config.ssmClient = { send: mockSend };
+    config.log = mockLogger;
+
+    await config.initializeConfig(null, { ssmConcurrency: 1 });
+
+    expect(config.KEY_0).toBe('static');
+    expect(config.KEY_10).toBe('ok');
+    expect(config.KEY_14).toBe('static');
+    expect(mockLogger.output.warn.mock.calls.some(call =>
+      call[0].includes('Simulated chunk failure')
+    )).toBe(true);
+    expect(mockLogger.output.warn.mock.calls.some(call =>
+      call[0] === 'SSM parameter /test/chunked/param-14 was not found.'
+    )).toBe(true);
+  });
+
+  test('should serve cached SSM values and refresh them in the background after the TTL', async () => {
+    const config = require('../index');
+    let currentValue = 'first-value';
+    const mockSend = jest.fn().mockImplementation(async (command) => ({
+      Parameters: command.input.Names.map(Name => ({ Name, Value: currentValue })),
+      InvalidParameters: []
+    }));
+
+    config.configMap = {
+      ROTATING_SECRET: { envVar: 'ROTATING_SECRET', fallbackSSM: '/test/rotating', type: 'string', ttl: 1000 }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    const start = Date.now();
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(start);
+    await config.initializeConfig();
+    expect(config.ROTATING_SECRET).toBe('first-value');
+    expect(mockSend).toHaveBeenCalledTimes(1);
+
+    // Rotate the secret and move past the TTL
+    currentValue = 'second-value';
+    nowSpy.mockReturnValue(start + 1500);
+
+    // The cached value is served while the refresh happens in the background
+    expect(config.ROTATING_SECRET).toBe('first-value');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    expect(config.ROTATING_SECRET).toBe('second-value');
+  });
+
+  test('should reload every value with refresh() while a background TTL refresh is running', async () => {
+    const config = require('../index');
+    let currentValue = 'first-value';
+    const mockSend = jest.fn().mockImplementation(async (command) => ({
+      Parameters: command.input.Names.map(Name => ({ Name, Value: currentValue })),
+      InvalidParameters: []
+    }));
+
+    config.configMap = {
+      ONE: { envVar: 'TTL_ONE', fallbackSSM: '/test/partial/one', type: 'string', ttl: 1000 },
+      TWO: { envVar: 'TTL_TWO', fallbackSSM: '/test/partial/two', type: 'string' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    const start = Date.now();
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(start);
+    await config.initializeConfig();
+
+    currentValue = 'second-value';
+    nowSpy.mockReturnValue(start + 1500);
+
+    // Reading ONE past its TTL starts a background refresh of ONE only
+    expect(config.ONE).toBe('first-value');
+    await config.refresh();
+
+    expect(config.ONE).toBe('second-value');
+    expect(config.TWO).toBe('second-value');
+  });
+
+  test('should force a reload with refresh() without overriding real env values', async () => {
+    const config = require('../index');
+    let currentValue = 'first-value';
+    const mockSend = jest.fn().mockImplementation(async (command) => ({
+      Parameters: command.input.Names.map(Name => ({ Name, Value: currentValue })),
+      InvalidParameters: []
+    }));
+
+    process.env.OVERRIDDEN = 'from-env';
+    config.configMap = {
+      FROM_SSM: { envVar: 'FROM_SSM', fallbackSSM: '/test/refresh/a', type: 'string' },
+      OVERRIDDEN: { envVar: 'OVERRIDDEN', fallbackSSM: '/test/refresh/b', type: 'string' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    await expect(config.refresh()).rejects.toThrow('Config not initialized');
+
+    await config.initializeConfig();
+    currentValue = 'second-value';
+    await config.refresh();
+
+    expect(config.FROM_SSM).toBe('second-value');
+    expect(config.OVERRIDDEN).toBe('from-env');
+  });
+
+  test('should notify change listeners when a refresh changes a value', async () => {
+    const config = require('../index');
+    let currentValue = 'first-value';
+    const mockSend = jest.fn().mockImplementation(async (command) => ({
+      Parameters: command.input.Names.map(Name => ({ Name, Value: currentValue })),
+      InvalidParameters: []
+    }));
+
+    config.configMap = {
+      API_URL: { envVar: 'API_URL', fallbackSSM: '/test/change/url', type: 'string' },
+      JWT_SECRET: { envVar: 'JWT_SECRET', fallbackSSM: '/test/change/jwt', type: 'string', secret: true }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    const onChange = jest.fn();
+    const onChangeWithSecrets = jest.fn();
+    const onJwtChange = jest.fn();
+    config.on('change', onChange);
+    config.on('change', onChangeWithSecrets, { includeSecrets: true });
+
+    await config.initializeConfig();
+    config.watch('JWT_SECRET', onJwtChange);
+    expect(onChange).not.toHaveBeenCalled();
+
+    currentValue = 'second-value';
+    await config.refresh();
+
+    expect(onChange).toHaveBeenCalledWith('API_URL', 'first-value', 'second-value', 'ssm');
+    expect(onChange).toHaveBeenCalledWith('JWT_SECRET', '[REDACTED]', '[REDACTED]', 'ssm');
+    expect(onChangeWithSecrets).toHaveBeenCalledWith('JWT_SECRET', 'first-value', 'second-value', 'ssm');
+    expect(onJwtChange).toHaveBeenCalledTimes(1);
+
+    // Refreshing again with the same values doesn't emit anything new
+    await config.refresh();
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+
+  test('should notify watchers when an env override changes a value', async () => {
+    const config = require('../index');
+    config.configMap = {
+      LOG_LEVEL: { envVar: 'LOG_LEVEL', fallbackStatic: 'info', type: 'string' }
+    };
+    config.log = createMockLogger();
+
+    const onChange = jest.fn();
+    const unwatch = config.watch('LOG_LEVEL', onChange);
+    await config.initializeConfig();
+
+    process.env.LOG_LEVEL = 'debug';
+    expect(config.LOG_LEVEL).toBe('debug');
+    expect(onChange).toHaveBeenCalledWith('LOG_LEVEL', 'info', 'debug', 'env');
+
+    unwatch();
+    process.env.LOG_LEVEL = 'warn';
+    expect(config.LOG_LEVEL).toBe('warn');
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  test('should load a whole SSM hierarchy with GetParametersByPath', async () => {
+    const config = require('../index');
+    const pages = {
+      first: {
+        Parameters: [
+          { Name: '/my-app/prod/db/password', Value: 'hunter2' },
+          { Name: '/my-app/prod/db/port', Value: '5432' }
+        ],
+        NextToken: 'page-2'
+      },
+      'page-2': {
+        Parameters: [
+          { Name: '/my-app/prod/feature-flags/new-ui', Value: 'true' }
+        ]
+      }
+    };
+    const mockSend = jest.fn().mockImplementation(async (command) => {
+      expect(command.input.Path).toBe('/my-app/prod');
+      expect(command.input.Recursive).toBe(true);
+      return pages[command.input.NextToken || 'first'];
+    });
+
+    config.configMap = {
+      DB_PORT: { envVar: 'PGPORT', type: 'int' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    await config.initializeConfig(null, { ssmPath: '/my-app/prod/', exportToEnv: true });
+
+    // Only the paginated GetParametersByPath calls are needed
+    expect(mockSend).toHaveBeenCalledTimes(2);
+
+    // Declared entries keep their type and envVar
+    expect(config.DB_PORT).toBe(5432);
+    expect(process.env.PGPORT).toBe('5432');
+
+    // Undeclared parameters are reachable through the default naming rule
+    expect(config.DB_PASSWORD).toBe('hunter2');
+    expect(config.getConfig('FEATURE_FLAGS_NEW_UI')).toBe('true');
+  });
+
+  test('should support a custom naming rule for ssmPath keys', async () => {
+    const config = require('../index');
+    const mockSend = jest.fn().mockResolvedValue({
+      Parameters: [{ Name: '/my-app/prod/db/password', Value: 'hunter2' }]
+    });
+
+    config.configMap = {};
+    config.ssmPath = '/my-app/prod';
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    await config.initializeConfig(null, {
+      ssmPathNaming: name => `app_${name.replace(/\//g, '.')}`
+    });
+
+    expect(config.getConfig('app_db.password')).toBe('hunter2');
+  });
+
+  test('should load values from Secrets Manager with an optional jsonKey', async () => {
+    const config = require('../index');
+    const secrets = {
+      'my-app/api-key': 'plain-api-key',
+      'my-app/db': JSON.stringify({ username: 'admin', password: 'hunter2', port: 5432 })
+    };
+    const mockSecretsSend = jest.fn().mockImplementation(async (command) => {
+      const secretString = secrets[command.input.SecretId];
+      if (secretString === undefined) {
+        const err = new Error('Secrets Manager can\'t find the specified secret.');
+        err.name = 'ResourceNotFoundException';
+        throw err;
+      }
+      return { SecretString: secretString };
+    });
+
+    config.configMap = {
+      API_KEY: { envVar: 'API_KEY', fallbackSecret: 'my-app/api-key', type: 'string' },
+      DB_PASSWORD: { envVar: 'DB_PASSWORD', fallbackSecret: 'my-app/db', jsonKey: 'password', type: 'string' },
+      DB_PORT: { envVar: 'DB_PORT', fallbackSecret: 'my-app/db', jsonKey: 'port', type: 'int' },
+      MISSING: { envVar: 'MISSING', fallbackSecret: 'my-app/missing', fallbackStatic: 'static', type: 'string' }
+    };
+    config.secretsClient = { send: mockSecretsSend };
+    config.log = createMockLogger();
+
+    await config.initializeConfig();
+
+    // The shared secret is only fetched once
+    expect(mockSecretsSend).toHaveBeenCalledTimes(3);
+    expect(config.API_KEY).toBe('plain-api-key');
+    expect(config.DB_PASSWORD).toBe('hunter2');
+    expect(config.DB_PORT).toBe(5432);
+    expect(config.MISSING).toBe('static');
+  });
+
+  test('should let environment variables override Secrets Manager values', async () => {
+    const config = require('../index');
+    const mockSecretsSend = jest.fn().mockResolvedValue({ SecretString: 'from-secret' });
+
+    process.env.API_KEY = 'from-env';
+    config.configMap = {
+      API_KEY: { envVar: 'API_KEY', fallbackSecret: 'my-app/api-key', type: 'string' }
+    };
+    config.secretsClient = { send: mockSecretsSend };
+    config.log = createMockLogger();
+
+    await config.initializeConfig();
+    expect(config.API_KEY).toBe('from-env');
+
+    delete process.env.API_KEY;
+    expect(config.API_KEY).toBe('from-secret');
+  });
+
+  test('should load values from custom source providers in order', async () => {
+    const config = require('../index');
+    const fileSource = {
+      name: 'file',
+      fetchBatch: jest.fn().mockImplementation(async (keys) => {
+        const values = { FROM_FILE: 'file-value', SHADOWED: 'file-wins' };
+        return Object.fromEntries(keys.filter(key => values[key]).map(key => [key, values[key]]));
+      })
+    };
+    const stubSource = {
+      name: 'stub',
+      fetchOne: jest.fn().mockImplementation(async (key) => (key === 'FROM_STUB' ? '42' : null))
+    };
+
+    config.configMap = {
+      FROM_ENV: { envVar: 'FROM_ENV', type: 'string' },
+      FROM_FILE: { envVar: 'FROM_FILE', type: 'string' },
+      SHADOWED: { envVar: 'SHADOWED', fallbackStatic: 'static', type: 'string' },
+      FROM_STUB: { envVar: 'FROM_STUB', type: 'int' },
+      FROM_DEFAULT: { envVar: 'FROM_DEFAULT', fallbackStatic: 'static', type: 'string' }
+    };
+    process.env.FROM_ENV = 'env-value';
+
+    const mockLogger = createMockLogger();
+    config.log = mockLogger;
+    config.sources = [config.providers.env, fileSource, stubSource, config.providers.static];
+
+    await config.initializeConfig();
+
+    expect(config.FROM_ENV).toBe('env-value');
+    expect(config.FROM_FILE).toBe('file-value');
+    expect(config.SHADOWED).toBe('file-wins');
+    expect(config.FROM_STUB).toBe(42);
+    expect(config.FROM_DEFAULT).toBe('static');
+
+    // Keys resolved by the file source aren't passed to later sources
+    expect(stubSource.fetchOne).not.toHaveBeenCalledWith('FROM_FILE', expect.anything());
+
+    expect(mockLogger.output.info.mock.calls[0][0])
+      .toBe('Config loaded: 1 from env, 2 from file, 1 from stub, 1 from default');
+  });
+
+  test('should reject invalid source providers', () => {
+    const config = require('../index');
+    expect(() => { config.sources = [{ name: 'broken' }]; })
+      .toThrow('must implement fetchBatch(keys, context) or fetchOne(key, context)');
+    expect(() => { config.sources = [config.providers.env, { ...config.providers.static, name: 'env' }]; })
+      .toThrow('Duplicate config source name "env"');
+
+    // The getter returns a copy, so providers can't be added without validation
+    const names = config.sources.map(source => source.name);
+    config.sources.push({ name: 'env' });
+    expect(config.sources.map(source => source.name)).toEqual(names);
+  });
+
+  test('should report every validation problem in one error', async () => {
+    const config = require('../index');
+    process.env.PORT = '70000';
+    process.env.LOG_LEVEL = 'verbos';
+    process.env.API_URL = 'ftp://example.com';
+    process.env.WORKERS = '3';
+
+    config.configMap = {
+      PORT: { envVar: 'PORT', type: 'int', min: 1, max: 65535 },
+      LOG_LEVEL: { envVar: 'LOG_LEVEL', type: 'string', enum: ['debug', 'info', 'warn', 'error'] },
+      API_URL: { envVar: 'API_URL', type: 'string', pattern: /^https:\/\// },
+      WORKERS: { envVar: 'WORKERS', type: 'int', validate: value => value % 2 === 0 || 'must be even' },
+      DB_HOST: { envVar: 'DB_HOST', type: 'string' }
+    };
+    config.log = createMockLogger();
+
+    const error = await config.initializeConfig().catch(err => err);
+
+    expect(error.message).toContain('Invalid configuration (5 problems)');
+    expect(error.message).toContain('PORT must be at most 65535 (got 70000)');
+    expect(error.message).toContain('LOG_LEVEL must be one of "debug", "info", "warn", "error" (got "verbos")');
+    expect(error.message).toContain('API_URL must match pattern /^https:\\/\\//');
+    expect(error.message).toContain('WORKERS must be even');
+    expect(error.message).toContain('Missing configuration value for DB_HOST');
+    expect(error.problems).toHaveLength(5);
+
+    // Nothing is exported to process.env when validation fails
+    expect(process.env.DB_HOST).toBeUndefined();
+  });
+
+  test('should redact secret values in validation messages', async () => {
+    const config = require('../index');
+    process.env.API_TOKEN = 'short';
+
+    config.configMap = {
+      API_TOKEN: { envVar: 'API_TOKEN', type: 'string', secret: true, pattern: '^[a-f0-9]{32}$' }
+    };
+    config.log = createMockLogger();
+
+    const error = await config.initializeConfig().catch(err => err);
+    expect(error.message).toContain('API_TOKEN must match pattern');
+    expect(error.message).toContain('[REDACTED]');
+    expect(error.message).not.toContain('short');
+  });
+
+  test('should allow optional keys with required: false', async () => {
+    const config = require('../index');
+    const mockLogger = createMockLogger();
+
+    config.configMap = {
+      SENTRY_DSN: { envVar: 'SENTRY_DSN', type: 'string', required: false },
+      LOG_LEVEL: { envVar: 'LOG_LEVEL', type: 'string', fallbackStatic: 'info' }
+    };
+    config.log = mockLogger;
+
+    await config.initializeConfig();
+
+    expect(config.SENTRY_DSN).toBeUndefined();
+    expect(process.env.SENTRY_DSN).toBeUndefined();
+    expect(mockLogger.output.info.mock.calls[0][0]).toBe('Config loaded: 1 from default, 1 not set');
+  });
+
+  test('should keep the previous value when a refreshed value fails validation', async () => {
+    const config = require('../index');
+    let currentValue = '8080';
+    const mockSend = jest.fn().mockImplementation(async (command) => ({
+      Parameters: command.input.Names.map(Name => ({ Name, Value: currentValue })),
+      InvalidParameters: []
+    }));
+
+    const mockLogger = createMockLogger();
+    config.configMap = {
+      PORT: { envVar: 'PORT', fallbackSSM: '/test/validate/port', type: 'int', max: 65535 }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = mockLogger;
+
+    await config.initializeConfig();
+    currentValue = '99999';
+    await config.refresh();
+
+    expect(config.PORT).toBe(8080);
+    expect(mockLogger.output.warn.mock.calls.some(call =>
+      call[0].startsWith('Ignoring refreshed value for PORT')
+    )).toBe(true);
+  });
+
+  test('should convert json, array, url, duration, bytes and enum values', async () => {
+    const config = require('../index');
+    process.env.FEATURES = '{"newUi":true,"limits":{"rps":10}}';
+    process.env.ALLOWED_HOSTS = 'a.example.com, b.example.com';
+    process.env.RETRY_CODES = '429|500|503';
+    process.env.API_URL = 'https://api.example.com/v1';
+    process.env.TIMEOUT = '1m30s';
+    process.env.MAX_UPLOAD = '10MB';
+    process.env.LOG_LEVEL = 'warn';
+
+    config.configMap = {
+      FEATURES: { envVar: 'FEATURES', type: 'json' },
+      ALLOWED_HOSTS: { envVar: 'ALLOWED_HOSTS', type: 'array' },
+      RETRY_CODES: { envVar: 'RETRY_CODES', type: 'array', delimiter: '|', itemType: 'int' },
+      API_URL: { envVar: 'API_URL', type: 'url' },
+      TIMEOUT: { envVar: 'TIMEOUT', type: 'duration' },
+      CACHE_TTL: { envVar: 'CACHE_TTL', type: 'duration', fallbackStatic: '250ms' },
+      MAX_UPLOAD: { envVar: 'MAX_UPLOAD', type: 'bytes' },
+      LOG_LEVEL: { envVar: 'LOG_LEVEL', type: 'enum', enum: ['debug', 'info', 'warn', 'error'] }
+    };
+    config.log = createMockLogger();
+
+    await config.initializeConfig(null, { exportToEnv: true });
+
+    expect(config.FEATURES).toEqual({ newUi: true, limits: { rps: 10 } });
+    expect(config.ALLOWED_HOSTS).toEqual(['a.example.com', 'b.example.com']);
+    expect(config.RETRY_CODES).toEqual([429, 500, 503]);
+    expect(config.API_URL).toBeInstanceOf(URL);
+    expect(config.API_URL.hostname).toBe('api.example.com');
+    expect(config.TIMEOUT).toBe(90000);
+    expect(config.CACHE_TTL).toBe(250);
+    expect(config.MAX_UPLOAD).toBe(10 * 1024 * 1024);
+    expect(config.LOG_LEVEL).toBe('warn');
+
+    // Parsed values are cached rather than re-parsed on every access
+    expect(config.FEATURES).toBe(config.FEATURES);
+
+    // Exported values are formatted so they can be read back
+    expect(process.env.CACHE_TTL).toBe('250');
+  });
+
+  test('should report invalid values for the richer types', async () => {
+    const config = require('../index');
+    process.env.FEATURES = '{not json';
+    process.env.API_URL = 'not a url';
+    process.env.TIMEOUT = '5 fortnights';
+    process.env.MAX_UPLOAD = '10XB';
+    process.env.LOG_LEVEL = 'verbos';
+
+    config.configMap = {
+      FEATURES: { envVar: 'FEATURES', type: 'json' },
+      API_URL: { envVar: 'API_URL', type: 'url' },
+      TIMEOUT: { envVar: 'TIMEOUT', type: 'duration' },
+      MAX_UPLOAD: { envVar: 'MAX_UPLOAD', type: 'bytes' },
+      LOG_LEVEL: { envVar: 'LOG_LEVEL', type: 'enum', enum: ['debug', 'info'] }
+    };
+    config.log = createMockLogger();
+
+    const error = await config.initializeConfig().catch(err => err);
+    expect(error.problems).toHaveLength(5);
+    expect(error.message).toContain('FEATURES (from env): Invalid JSON value');
+    expect(error.message).toContain('API_URL (from env): Invalid URL value: "not a url"');
+    expect(error.message).toContain('TIMEOUT (from env): Invalid duration value: "5 fortnights"');
+    expect(error.message).toContain('MAX_UPLOAD (from env): Invalid bytes value: "10XB"');
+    expect(error.message).toContain('LOG_LEVEL (from env): Invalid enum value: "verbos"');
+  });
+
+  test('should support custom types registered with registerType', async () => {
+    const config = require('../index');
+    process.env.ADMINS = 'alice,bob,alice';
+
+    config.registerType('set', value => new Set(value.split(',')), {
+      format: value => [...value].join(',')
+    });
+    config.configMap = {
+      ADMINS: { envVar: 'ADMINS', type: 'set' }
+    };
+    config.log = createMockLogger();
+
+    await config.initializeConfig();
+
+    expect(config.ADMINS).toEqual(new Set(['alice', 'bob']));
+    expect(() => config.registerType('int', Number)).toThrow('Cannot replace built-in type "int"');
+  });
+
+  test('should notify change listeners and serialize values of Set types', async () => {
+    const config = require('../index');
+    let currentValue = 'x,y';
+    const mockSend = jest.fn().mockImplementation(async (command) => ({
+      Parameters: command.input.Names.map(Name => ({ Name, Value: currentValue })),
+      InvalidParameters: []
+    }));
+
+    config.registerType('csv-set', value => new Set(value.split(',')));
+    config.configMap = {
+      ROLES: { envVar: 'SET_ROLES', fallbackSSM: '/test/set/roles', type: 'csv-set' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+    const onChange = jest.fn();
+    config.on('change', onChange);
+
+    await config.initializeConfig();
+    expect(JSON.parse(JSON.stringify(config))).toEqual({ ROLES: ['x', 'y'] });
+
+    await config.refresh();
+    expect(onChange).not.toHaveBeenCalled();
+
+    currentValue = 'z';
+    await config.refresh();
+    expect(onChange).toHaveBeenCalledWith('ROLES', new Set(['x', 'y']), new Set(['z']), 'ssm');
+  });
+
+  test('should reject malformed int and float values instead of returning NaN', async () => {
+    const config = require('../index');
+    process.env.PORT = '12abc';
+    process.env.WORKERS = 'abc';
+    process.env.RATIO = '1.5x';
+    process.env.LIMIT = 'Infinity';
+    process.env.BIG = '9007199254740993';
+
+    config.configMap = {
+      PORT: { envVar: 'PORT', type: 'int' },
+      WORKERS: { envVar: 'WORKERS', type: 'int' },
+      RATIO: { envVar: 'RATIO', type: 'float' },
+      LIMIT: { envVar: 'LIMIT', type: 'float' },
+      BIG: { envVar: 'BIG', type: 'int' },
+      TIMEOUT: { envVar: 'TIMEOUT', type: 'int', fallbackStatic: '30s' }
+    };
+    config.log = createMockLogger();
+
+    const error = await config.initializeConfig().catch(err => err);
+
+    expect(error.problems).toEqual([
+      'PORT (from env): Invalid int value: "12abc". Expected a whole number',
+      'WORKERS (from env): Invalid int value: "abc". Expected a whole number',
+      'RATIO (from env): Invalid float value: "1.5x". Expected a finite number',
+      'LIMIT (from env): Invalid float value: "Infinity". Expected a finite number',
+      'BIG (from env): Invalid int value: "9007199254740993". It is outside the safe integer range, use type "bigint" instead',
+      'TIMEOUT (from default): Invalid int value: "30s". Expected a whole number'
+    ]);
+    expect(process.env.PORT).toBe('12abc');
+  });
+
+  test('should accept well-formed numbers and bigint values', async () => {
+    const config = require('../index');
+    process.env.PORT = ' 8080 ';
+    process.env.OFFSET = '-3';
+    process.env.RATIO = '1.5e3';
+    process.env.ACCOUNT_ID = '9007199254740993';
+
+    config.configMap = {
+      PORT: { envVar: 'PORT', type: 'int' },
+      OFFSET: { envVar: 'OFFSET', type: 'int' },
+      RATIO: { envVar: 'RATIO', type: 'float' },
+      ACCOUNT_ID: { envVar: 'ACCOUNT_ID', type: 'bigint' }
+    };
+    config.log = createMockLogger();
+
+    await config.initializeConfig();
+
+    expect(config.PORT).toBe(8080);
+    expect(config.OFFSET).toBe(-3);
+    expect(config.RATIO).toBe(1500);
+    expect(config.ACCOUNT_ID).toBe(9007199254740993n);
+    expect(process.env.ACCOUNT_ID).toBe('9007199254740993');
+  });
+
+  test('should read, refresh and serialize arrays of bigint values', async () => {
+    const config = require('../index');
+    let currentValue = '1,9007199254740993';
+    const mockSend = jest.fn().mockImplementation(async (command) => ({
+      Parameters: command.input.Names.map(Name => ({ Name, Value: currentValue })),
+      InvalidParameters: []
+    }));
+
+    config.configMap = {
+      IDS: { envVar: 'BIGINT_IDS', fallbackSSM: '/test/bigint/ids', type: 'array', itemType: 'bigint' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+    const onChange = jest.fn();
+    config.on('change', onChange);
+
+    await config.initializeConfig();
+
+    expect(config.IDS).toEqual([1n, 9007199254740993n]);
+    expect(JSON.parse(JSON.stringify(config))).toEqual({ IDS: ['1', '9007199254740993'] });
+
+    await config.refresh();
+    expect(onChange).not.toHaveBeenCalled();
+
+    currentValue = '2,9007199254740993';
+    await config.refresh();
+    expect(onChange).toHaveBeenCalledWith('IDS', [1n, 9007199254740993n], [2n, 9007199254740993n], 'ssm');
+  });
+
+  test('should name the key and source when a runtime env override is malformed', async () => {
+    const config = require('../index');
+    config.configMap = {
+      PORT: { envVar: 'PORT', type: 'int', fallbackStatic: '8080' }
+    };
+    config.log = createMockLogger();
+
+    await config.initializeConfig();
+    process.env.PORT = '80 80';
+
+    expect(() => config.PORT).toThrow('PORT (from env): Invalid int value: "80 80"');
+  });
+
+  test('should create independent config instances with createConfig', async () => {
+    const config = require('../index');
+
+    // Each instance gets its own SSM client returning a different value
+    function clientReturning(value) {
+      return {
+        send: jest.fn().mockImplementation(async (command) => ({
+          Parameters: command.input.Names.map(Name => ({ Name, Value: value })),
+          InvalidParameters: []
+        }))
+      };
+    }
+
+    const billing = config.createConfig({
+      configMap: {
+        DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/billing/db-host', type: 'string' }
+      },
+      ssmClient: clientReturning('billing-db'),
+      logger: createMockLogger()
+    });
+    const orders = config.createConfig({
+      configMap: {
+        DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/orders/db-host', type: 'string' }
+      },
+      ssmClient: clientReturning('orders-db'),
+      logger: createMockLogger()
+    });
+
+    await billing.initializeConfig();
+    await orders.initializeConfig();
+
+    expect(billing.DB_HOST).toBe('billing-db');
+    expect(orders.DB_HOST).toBe('orders-db');
+
+    // The default instance is untouched
+    expect(config.configMap).toBeNull();
+    await expect(config.initializeConfig()).rejects.toThrow('Configuration map not set');
+  });
+
+  test('should create a config instance for a configMap with defineConfig', async () => {
+    const config = require('../index');
+    const mockSend = jest.fn().mockImplementation(async (command) => ({
+      Parameters: command.input.Names.map(name => ({ Name: name, Value: '8080' })),
+      InvalidParameters: []
+    }));
+
+    const appConfig = config.defineConfig({
+      PORT: { envVar: 'APP_PORT', fallbackSSM: '/test/define/port', type: 'int' }
+    }, { ssmClient: { send: mockSend }, logger: createMockLogger() });
+
+    await appConfig.initializeConfig();
+
+    expect(appConfig.PORT).toBe(8080);
+    expect(appConfig.configMap.PORT.envVar).toBe('APP_PORT');
+    expect(config.configMap).toBeNull();
+  });
+
+  test('should use the instance kmsKeyId when initializeConfig gets none', async () => {
+    const config = require('../index');
+    const mockSend = jest.fn().mockImplementation(async (command) => ({
+      Parameters: command.input.Names.map(name => ({ Name: name, Value: 'encrypted-value' })),
+      InvalidParameters: []
+    }));
+
+    const instance = config.createConfig({
+      configMap: {
+        SECRET: { envVar: 'SECRET', fallbackSSM: '/test/kms/secret', type: 'string' }
+      },
+      ssmClient: { send: mockSend },
+      logger: createMockLogger(),
+      kmsKeyId: 'alias/my-key'
+    });
+
+    await instance.initializeConfig();
+
+    expect(instance.SECRET).toBe('encrypted-value');
+    expect(mockSend.mock.calls[0][0].input.KeyId).toBe('alias/my-key');
+  });
+
+  test('should fetch from the Lambda extension concurrently and only fall back for failures', async () => {
+    // Lambda detection happens when the module loads
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'test-function';
+    const axios = require('axios');
+    const config = require('../index');
+
+    const names = Array.from({ length: 20 }, (_, i) => `/test/extension/param-${i}`);
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const axiosGet = jest.spyOn(axios, 'get').mockImplementation(async (url, { headers }) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+
+      const name = decodeURIComponent(new URL(url).searchParams.get('name'));
+      expect(headers['X-Aws-Kms-Key-Id']).toBe('alias/my-key');
+      if (name.endsWith('-3') || name.endsWith('-7')) {
+        const err = new Error('Request failed with status code 404');
+        err.response = { status: 404 };
+        throw err;
+      }
+      return { data: { Parameter: { Name: name, Value: `extension-${name}` } } };
+    });
+
+    const mockSend = jest.fn().mockImplementation(async (command) => ({
+      Parameters: command.input.Names.map(name => ({ Name: name, Value: `api-${name}` })),
+      InvalidParameters: []
+    }));
+
+    const mockLogger = createMockLogger();
+    config.configMap = Object.fromEntries(names.map((name, i) => [
+      `KEY_${i}`, { envVar: `EXT_VAL_${i}`, fallbackSSM: name, type: 'string' }
+    ]));
+    config.ssmClient = { send: mockSend };
+    config.log = mockLogger;
+
+    await config.initializeConfig('alias/my-key', { extensionConcurrency: 4 });
+
+    expect(axiosGet).toHaveBeenCalledTimes(20);
+    expect(maxInFlight).toBe(4);
+
+    // The SSM API is only asked for the failures
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(mockSend.mock.calls[0][0].input.Names.sort())
+      .toEqual(['/test/extension/param-3', '/test/extension/param-7']);
+
+    expect(config.KEY_0).toBe('extension-/test/extension/param-0');
+    expect(config.KEY_3).toBe('api-/test/extension/param-3');
+    expect(mockLogger.output.info.mock.calls[0][0]).toBe('Config loaded: 18 from ssm-extension, 2 from ssm');
+  });
+
+  test('should retry throttled SSM requests with backoff', async () => {
+    const config = require('../index');
+    let calls = 0;
+    const mockSend = jest.fn().mockImplementation(async (command) => {
+      calls++;
+      if (calls <= 2) {
+        const err = new Error('Rate exceeded');
+        err.name = 'ThrottlingException';
+        throw err;
+      }
+      return { Parameters: command.input.Names.map(name => ({ Name: name, Value: 'retried' })), InvalidParameters: [] };
+    });
+
+    const mockLogger = createMockLogger();
+    config.configMap = {
+      RETRY_VALUE: { envVar: 'RETRY_VALUE', fallbackSSM: '/test/retry/value', type: 'string' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = mockLogger;
+
+    await config.initializeConfig(null, { retry: { baseDelay: 1 } });
+
+    expect(mockSend).toHaveBeenCalledTimes(3);
+    expect(config.RETRY_VALUE).toBe('retried');
+    expect(mockLogger.output.info.mock.calls[0][0]).toBe('Config loaded: 1 from ssm (2 retries)');
+  });
+
+  test('should not retry with maxAttempts: 1, including in the default SDK clients', async () => {
+    const config = require('../index');
+    expect(await config.ssmClient.config.maxAttempts()).toBe(1);
+    expect(await config.secretsClient.config.maxAttempts()).toBe(1);
+
+    const mockSend = jest.fn().mockImplementation(async () => {
+      const err = new Error('Rate exceeded');
+      err.name = 'ThrottlingException';
+      throw err;
+    });
+    const mockLogger = createMockLogger();
+    config.configMap = {
+      NO_RETRY: { envVar: 'NO_RETRY', fallbackSSM: '/test/retry/none', fallbackStatic: 'static', type: 'string' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = mockLogger;
+
+    await config.initializeConfig(null, { retry: { maxAttempts: 1 } });
+
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(config.NO_RETRY).toBe('static');
+    expect(mockLogger.output.info.mock.calls[0][0]).toBe('Config loaded: 1 from default');
+  });
+
+  test('should not start a retry that would pass the deadline', async () => {
+    const config = require('../index');
+    const mockSend = jest.fn().mockImplementation(async () => {
+      const err = new Error('Service unavailable');
+      err.name = 'ServiceUnavailable';
+      throw err;
+    });
+    config.configMap = {
+      DEADLINE: { envVar: 'DEADLINE', fallbackSSM: '/test/retry/deadline', fallbackStatic: 'static', type: 'string' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    // Delays are 50ms then 100ms, and the second retry would start after the 120ms deadline
+    const startedAt = Date.now();
+    await config.initializeConfig(null, { retry: { maxAttempts: 10, baseDelay: 50, jitter: false, deadline: 120 } });
+
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    expect(config.DEADLINE).toBe('static');
+  });
+
+  test('should not retry errors that will not go away', async () => {
+    const config = require('../index');
+    const mockSend = jest.fn().mockImplementation(async () => {
+      const err = new Error('User is not authorized');
+      err.name = 'AccessDeniedException';
+      err.$metadata = { httpStatusCode: 400 };
+      throw err;
+    });
+
+    config.configMap = {
+      DENIED_VALUE: { envVar: 'DENIED_VALUE', fallbackSSM: '/test/retry/denied', fallbackStatic: 'static', type: 'string' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    await config.initializeConfig(null, { retry: { baseDelay: 1 } });
+
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(config.DENIED_VALUE).toBe('static');
+  });
+
+  test('should retry the Lambda extension when it is throttled', async () => {
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'test-function';
+    const axios = require('axios');
+    const config = require('../index');
+
+    let calls = 0;
+    const axiosGet = jest.spyOn(axios, 'get').mockImplementation(async (url) => {
+      calls++;
+      if (calls === 1) {
+        const err = new Error('Request failed with status code 429');
+        err.response = { status: 429 };
+        throw err;
+      }
+      const name = decodeURIComponent(new URL(url).searchParams.get('name'));
+      return { data: { Parameter: { Name: name, Value: 'from-extension' } } };
+    });
+    const mockSend = jest.fn();
+
+    config.configMap = {
+      EXT_RETRY: { envVar: 'EXT_RETRY', fallbackSSM: '/test/retry/extension', type: 'string' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    await config.initializeConfig(null, { extensionRetry: { baseDelay: 1 } });
+
+    expect(axiosGet).toHaveBeenCalledTimes(2);
+    expect(mockSend).not.toHaveBeenCalled();
+    expect(config.EXT_RETRY).toBe('from-extension');
+  });
+
+  test('should retry the Lambda extension while it refuses connections during startup', async () => {
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'test-function';
+    const axios = require('axios');
+    const config = require('../index');
+
+    let calls = 0;
+    const axiosGet = jest.spyOn(axios, 'get').mockImplementation(async (url) => {
+      calls++;
+      if (calls <= 2) {
+        const err = new Error('connect ECONNREFUSED 127.0.0.1:2773');
+        err.code = 'ECONNREFUSED';
+        throw err;
+      }
+      const name = decodeURIComponent(new URL(url).searchParams.get('name'));
+      return { data: { Parameter: { Name: name, Value: `ext-${name}` } } };
+    });
+    const mockSend = jest.fn();
+    const mockLogger = createMockLogger();
+
+    config.configMap = {
+      FIRST: { envVar: 'EXT_STARTUP_FIRST', fallbackSSM: '/test/startup/first', type: 'string' },
+      SECOND: { envVar: 'EXT_STARTUP_SECOND', fallbackSSM: '/test/startup/second', type: 'string' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = mockLogger;
+
+    await config.initializeConfig(null, { extensionRetry: { maxAttempts: 5, baseDelay: 1, jitter: false } });
+
+    expect(axiosGet).toHaveBeenCalledTimes(4);
+    expect(mockSend).not.toHaveBeenCalled();
+    expect(mockLogger.output.warn).not.toHaveBeenCalled();
+    expect(config.FIRST).toBe('ext-/test/startup/first');
+    expect(config.SECOND).toBe('ext-/test/startup/second');
+  });
+
+  test('should stop using the Lambda extension once it still refuses connections after retrying', async () => {
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'test-function';
+    const axios = require('axios');
+    const config = require('../index');
+
+    const axiosGet = jest.spyOn(axios, 'get').mockImplementation(async () => {
+      const err = new Error('connect ECONNREFUSED 127.0.0.1:2773');
+      err.code = 'ECONNREFUSED';
+      throw err;
+    });
+    const mockSend = jest.fn().mockImplementation(async (command) => ({
+      Parameters: command.input.Names.map(name => ({ Name: name, Value: `api-${name}` })),
+      InvalidParameters: []
+    }));
+    const mockLogger = createMockLogger();
+
+    config.configMap = {
+      ...Object.fromEntries(Array.from({ length: 30 }, (_, i) => [
+        `KEY_${i}`, { envVar: `NO_EXT_${i}`, fallbackSSM: `/test/no-extension/param-${i}`, type: 'string' }
+      ])),
+      SECRET: { envVar: 'NO_EXT_SECRET', fallbackSecret: 'test/no-extension', fallbackStatic: 'none', type: 'string' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.secretsClient = { send: jest.fn().mockResolvedValue({ SecretString: 'from-secrets-manager' }) };
+    config.log = mockLogger;
+
+    await config.initializeConfig(null, { extensionRetry: { baseDelay: 1 } });
+
+    // Only the first request's retries reach the extension
+    expect(axiosGet).toHaveBeenCalledTimes(3);
+    expect(mockLogger.output.warn).toHaveBeenCalledTimes(1);
+    expect(mockLogger.output.warn).toHaveBeenCalledWith(
+      'Lambda extension is not running on localhost:2773, using the AWS APIs for the rest of this load'
+    );
+    expect(config.KEY_29).toBe('api-/test/no-extension/param-29');
+    expect(config.SECRET).toBe('from-secrets-manager');
+  });
+
+  test('should record why a value fell back instead of treating every error as not found', async () => {
+    const config = require('../index');
+    const mockSend = jest.fn().mockImplementation(async () => {
+      const err = new Error('User is not authorized to perform ssm:GetParameters');
+      err.name = 'AccessDeniedException';
+      err.$metadata = { httpStatusCode: 400 };
+      throw err;
+    });
+
+    const mockLogger = createMockLogger();
+    config.configMap = {
+      DB_PASSWORD: { envVar: 'DB_PASSWORD', fallbackSSM: '/test/strict/password', fallbackStatic: 'dev-password', type: 'string' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = mockLogger;
+
+    await config.initializeConfig();
+
+    expect(config.DB_PASSWORD).toBe('dev-password');
+    expect(config.fetchErrors.DB_PASSWORD).toHaveLength(1);
+    expect(config.fetchErrors.DB_PASSWORD[0]).toBeInstanceOf(config.ConfigFetchError);
+    expect(config.fetchErrors.DB_PASSWORD[0]).toMatchObject({
+      key: 'DB_PASSWORD',
+      source: 'ssm',
+      remoteId: '/test/strict/password',
+      kind: 'access-denied'
+    });
+    expect(mockLogger.output.warn).toHaveBeenCalledWith('DB_PASSWORD fell back to default because ssm failed (access-denied)');
+  });
+
+  test('should fail the load on fetch errors in strict mode but still fall back for missing parameters', async () => {
+    const config = require('../index');
+    const mockSend = jest.fn().mockImplementation(async (command) => {
+      if (command.input.KeyId) {
+        const err = new Error('The ciphertext refers to a customer master key that does not exist');
+        err.name = 'KMSNotFoundException';
+        throw err;
+      }
+      return { Parameters: [], InvalidParameters: command.input.Names };
+    });
+
+    // NOT_FOUND has no KMS key, so it's fetched in a separate batch
+    config.configMap = {
+      DENIED: { envVar: 'DENIED', fallbackSSM: '/test/strict/denied', fallbackStatic: 'dev', type: 'string' },
+      NOT_FOUND: { envVar: 'NOT_FOUND', fallbackSSM: '/test/strict/missing', fallbackStatic: 'default', type: 'string', kmsKeyId: null },
+      MISSING: { envVar: 'MISSING', type: 'string' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    const error = await config.initializeConfig('alias/app-key', { strict: true }).catch(err => err);
+    expect(error).toBeInstanceOf(config.ConfigValidationError);
+    expect(error).toBeInstanceOf(config.ConfigError);
+    expect(error.errors).toHaveLength(2);
+    expect(error.errors[0]).toBeInstanceOf(config.ConfigFetchError);
+    expect(error.errors[0].kind).toBe('kms');
+    expect(error.errors[1]).toBeInstanceOf(config.ConfigMissingError);
+    expect(error.errors[1].key).toBe('MISSING');
+    expect(error.problems).toEqual([
+      'Failed to fetch DENIED (/test/strict/denied) from ssm: kms: The ciphertext refers to a customer master key that does not exist',
+      'Missing configuration value for MISSING'
+    ]);
+  });
+
+  test('should let entries opt in or out of strict mode', async () => {
+    const config = require('../index');
+    const mockSend = jest.fn().mockImplementation(async () => {
+      const err = new Error('connect ETIMEDOUT');
+      err.code = 'ETIMEDOUT';
+      throw err;
+    });
+
+    config.configMap = {
+      OPTIONAL_FLAG: { envVar: 'OPTIONAL_FLAG', fallbackSSM: '/test/strict/flag', fallbackStatic: 'false', type: 'bool', strict: false },
+      API_KEY: { envVar: 'API_KEY', fallbackSSM: '/test/strict/api-key', fallbackStatic: 'dev-key', type: 'string', strict: true }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    const error = await config.initializeConfig(null, { retry: { maxAttempts: 1 } }).catch(err => err);
+    expect(error.errors.map(err => [err.key, err.kind])).toEqual([['API_KEY', 'network']]);
+
+    // Without the strict entry the flag falls back as usual
+    config.configMap = { OPTIONAL_FLAG: config.configMap.OPTIONAL_FLAG };
+    await config.initializeConfig(null, { strict: true });
+    expect(config.OPTIONAL_FLAG).toBe(false);
+  });
+
+  test('should batch-fetch parameters grouped by their kmsKeyId', async () => {
+    const config = require('../index');
+    const mockSend = jest.fn().mockImplementation(async (command) => ({
+      Parameters: command.input.Names.map(name => ({ Name: name, Value: `${command.input.KeyId || 'plain'}:${name}` })),
+      InvalidParameters: []
+    }));
+
+    config.configMap = {
+      DB_PASSWORD: { envVar: 'DB_PASSWORD', fallbackSSM: '/test/kms/db-password', type: 'string', kmsKeyId: 'alias/db-key' },
+      DB_USER: { envVar: 'DB_USER', fallbackSSM: '/test/kms/db-user', type: 'string', kmsKeyId: 'alias/db-key' },
+      API_KEY: { envVar: 'API_KEY', fallbackSSM: '/test/kms/api-key', type: 'string' },
+      REGION: { envVar: 'REGION', fallbackSSM: '/test/kms/region', type: 'string', kmsKeyId: null }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    await config.initializeConfig('alias/app-key');
+
+    const calls = mockSend.mock.calls.map(([command]) => [command.input.KeyId, command.input.Names]);
+    expect(calls).toHaveLength(3);
+    expect(calls).toEqual(expect.arrayContaining([
+      ['alias/db-key', ['/test/kms/db-password', '/test/kms/db-user']],
+      ['alias/app-key', ['/test/kms/api-key']],
+      [undefined, ['/test/kms/region']]
+    ]));
+    expect(config.DB_PASSWORD).toBe('alias/db-key:/test/kms/db-password');
+    expect(config.API_KEY).toBe('alias/app-key:/test/kms/api-key');
+    expect(config.REGION).toBe('plain:/test/kms/region');
+  });
+
+  test('should detect SecureStrings fetched one at a time after a mixed-encryption batch fails', async () => {
+    const { MemorySSMClient } = require('../testing');
+    const config = require('../index');
+    const ssm = new MemorySSMClient({
+      '/test/mixed/host': 'db.internal',
+      '/test/mixed/password': { value: 'hunter2', type: 'SecureString', kmsKeyId: 'alias/my-key' },
+      '/test/mixed/token': { value: 'token-123', type: 'SecureString' }
+    });
+
+    config.configMap = {
+      DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/mixed/host', type: 'string' },
+      DB_PASSWORD: { envVar: 'DB_PASSWORD', fallbackSSM: '/test/mixed/password', type: 'string' },
+      API_TOKEN: { envVar: 'API_TOKEN', fallbackSSM: '/test/mixed/token', type: 'string' }
+    };
+    config.ssmClient = ssm;
+    config.log = createMockLogger();
+    await config.initializeConfig('alias/my-key');
+
+    expect(ssm.calls.map(({ command }) => command)).toContain('GetParameterCommand');
+    expect(config.describe().map(({ key, isSecret }) => [key, isSecret])).toEqual([
+      ['DB_HOST', false],
+      ['DB_PASSWORD', true],
+      ['API_TOKEN', true]
+    ]);
+    expect(JSON.stringify(config)).not.toMatch(/hunter2|token-123/);
+  });
+
+  test('should remember parameters that needed the request without a KeyId', async () => {
+    const config = require('../index');
+    const unencrypted = '/test/kms/unencrypted';
+    const mockSend = jest.fn().mockImplementation(async (command) => {
+      const names = command.input.Names || [command.input.Name];
+      if (command.input.KeyId && names.includes(unencrypted)) {
+        const err = new Error('Parameter is not encrypted with the given KeyId');
+        err.name = 'ValidationException';
+        throw err;
+      }
+      if (command.input.Name) {
+        return { Parameter: { Name: command.input.Name, Value: `single:${command.input.Name}` } };
+      }
+      return { Parameters: names.map(name => ({ Name: name, Value: `batch:${name}` })), InvalidParameters: [] };
+    });
+
+    config.configMap = {
+      ENCRYPTED: { envVar: 'ENCRYPTED', fallbackSSM: '/test/kms/encrypted', type: 'string' },
+      UNENCRYPTED: { envVar: 'UNENCRYPTED', fallbackSSM: unencrypted, type: 'string' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    await config.initializeConfig('alias/app-key');
+
+    // Failed batch, then each parameter on its own, with the unencrypted one retried without a KeyId
+    expect(mockSend).toHaveBeenCalledTimes(4);
+    expect(config.ENCRYPTED).toBe('single:/test/kms/encrypted');
+    expect(config.UNENCRYPTED).toBe(`single:${unencrypted}`);
+
+    mockSend.mockClear();
+    await config.refresh();
+
+    // The unencrypted parameter goes straight to its own batch without a KeyId
+    const calls = mockSend.mock.calls.map(([command]) => [command.input.KeyId, command.input.Names]);
+    expect(calls).toEqual(expect.arrayContaining([
+      ['alias/app-key', ['/test/kms/encrypted']],
+      [undefined, [unencrypted]]
+    ]));
+    expect(calls).toHaveLength(2);
+    expect(config.UNENCRYPTED).toBe(`batch:${unencrypted}`);
+  });
+
+  describe('disk cache', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let cacheDir;
+
+    beforeEach(() => {
+      cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssm-config-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    // Build a config instance whose SSM client returns `value` for every parameter
+    function createCachedConfig(value, diskCache) {
+      const config = require('../index');
+      const mockSend = jest.fn().mockImplementation(async (command) => ({
+        Parameters: command.input.Names.map(name => ({ Name: name, Value: value })),
+        InvalidParameters: []
+      }));
+      const mockLogger = createMockLogger();
+      const instance = config.createConfig({
+        configMap: {
+          DB_PASSWORD: { envVar: 'DB_PASSWORD', fallbackSSM: '/test/cache/db-password', type: 'string' }
+        },
+        ssmClient: { send: mockSend },
+        logger: mockLogger,
+        diskCache: {
+          path: path.join(cacheDir, 'cache.json'),
+          keyFile: path.join(cacheDir, 'cache.key'),
+          ...diskCache
+        }
+      });
+      return { instance, mockSend, mockLogger };
+    }
+
+    test('should serve values from the disk cache on the next run without calling SSM', async () => {
+      const first = createCachedConfig('s3cret-from-ssm');
+      await first.instance.initializeConfig();
+      expect(first.mockSend).toHaveBeenCalledTimes(1);
+
+      // Values are encrypted on disk
+      const file = fs.readFileSync(path.join(cacheDir, 'cache.json'), 'utf8');
+      expect(file).toContain('ssm:/test/cache/db-password');
+      expect(file).not.toContain('s3cret-from-ssm');
+      expect(fs.statSync(path.join(cacheDir, 'cache.key')).mode & 0o777).toBe(0o600);
+
+      delete process.env.DB_PASSWORD;
+      const second = createCachedConfig('new-value');
+      await second.instance.initializeConfig();
+
+      expect(second.mockSend).not.toHaveBeenCalled();
+      expect(second.instance.DB_PASSWORD).toBe('s3cret-from-ssm');
+      expect(second.mockLogger.output.info.mock.calls[0][0]).toBe('Config loaded: 1 from disk-cache');
+    });
+
+    test('should skip expired entries and reads when bypassed', async () => {
+      await createCachedConfig('old-value').instance.initializeConfig();
+
+      delete process.env.DB_PASSWORD;
+      const bypassed = createCachedConfig('bypassed-value', { bypass: true });
+      await bypassed.instance.initializeConfig();
+      expect(bypassed.mockSend).toHaveBeenCalledTimes(1);
+      expect(bypassed.instance.DB_PASSWORD).toBe('bypassed-value');
+
+      // The bypassed run still wrote its fresh value
+      delete process.env.DB_PASSWORD;
+      const cached = createCachedConfig('unused');
+      await cached.instance.initializeConfig();
+      expect(cached.instance.DB_PASSWORD).toBe('bypassed-value');
+
+      delete process.env.DB_PASSWORD;
+      const expired = createCachedConfig('fresh-value', { ttl: 0 });
+      await expired.instance.initializeConfig();
+      expect(expired.mockSend).toHaveBeenCalledTimes(1);
+      expect(expired.instance.DB_PASSWORD).toBe('fresh-value');
+    });
+
+    test('should ignore a cache written with a different passphrase', async () => {
+      await createCachedConfig('old-value', { passphrase: 'first' }).instance.initializeConfig();
+
+      delete process.env.DB_PASSWORD;
+      const other = createCachedConfig('ssm-value', { passphrase: 'second' });
+      await other.instance.initializeConfig();
+
+      expect(other.mockSend).toHaveBeenCalledTimes(1);
+      expect(other.instance.DB_PASSWORD).toBe('ssm-value');
+      expect(other.mockLogger.output.warn).toHaveBeenCalledWith(
+        'Ignoring disk cache: Can\'t decrypt disk cache, it was written with a different key or passphrase'
+      );
+
+      // The unreadable entry was replaced, so the next run with the new passphrase uses the cache
+      delete process.env.DB_PASSWORD;
+      const next = createCachedConfig('unused', { passphrase: 'second' });
+      await next.instance.initializeConfig();
+      expect(next.mockSend).not.toHaveBeenCalled();
+      expect(next.instance.DB_PASSWORD).toBe('ssm-value');
+    });
+
+    test('should keep SecureString values secret when they come from the cache', async () => {
+      const { MemorySSMClient } = require('../testing');
+      const config = require('../index');
+      const createInstance = (ssm) => config.createConfig({
+        configMap: { PW: { envVar: 'PW', fallbackSSM: '/test/cache/pw', type: 'string' } },
+        ssmClient: ssm,
+        logger: createMockLogger(),
+        exportToEnv: 'non-secret',
+        diskCache: { path: path.join(cacheDir, 'cache.json'), keyFile: path.join(cacheDir, 'cache.key') }
+      });
+      await createInstance(new MemorySSMClient({ '/test/cache/pw': { value: 'hunter2', type: 'SecureString' } })).initializeConfig();
+
+      const ssm = new MemorySSMClient();
+      const cached = createInstance(ssm);
+      await cached.initializeConfig();
+
+      expect(ssm.calls).toHaveLength(0);
+      expect(cached.PW).toBe('hunter2');
+      expect(cached.describe()[0]).toMatchObject({ source: 'disk-cache', isSecret: true, value: '[REDACTED]' });
+      expect(JSON.stringify(cached)).toBe('{"PW":"[REDACTED]"}');
+      expect(process.env.PW).toBeUndefined();
+    });
+  });
+
+  describe('file sources', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const originalCwd = process.cwd();
+    let configDir;
+
+    beforeEach(() => {
+      configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssm-config-files-'));
+      process.chdir(configDir);
+    });
+
+    afterEach(() => {
+      process.chdir(originalCwd);
+      fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    test('should load .env, config.<NODE_ENV>.json and config.json between env and SSM', async () => {
+      fs.writeFileSync('.env', [
+        '# Local overrides',
+        'export DB_HOST=localhost',
+        'GREETING="hello\\nworld" # inline comment',
+        'RAW=\'$NOT_EXPANDED\''
+      ].join('\n'));
+      fs.writeFileSync('config.staging.json', JSON.stringify({ DB_HOST: 'staging-db', PORT: 8080 }));
+      fs.writeFileSync('config.json', JSON.stringify({ DB_HOST: 'prod-db', PORT: 80, DEBUG: false, FEATURES: ['a', 'b'] }));
+      process.env.NODE_ENV = 'staging';
+      process.env.DEBUG = 'true';
+
+      const config = require('../index');
+      const mockSend = jest.fn().mockImplementation(async (command) => ({
+        Parameters: command.input.Names.map(name => ({ Name: name, Value: 'from-ssm' })),
+        InvalidParameters: []
+      }));
+      const mockLogger = createMockLogger();
+      config.configMap = {
+        DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/files/db-host', type: 'string' },
+        GREETING: { envVar: 'GREETING', type: 'string' },
+        RAW: { envVar: 'RAW', type: 'string' },
+        PORT: { envVar: 'PORT', type: 'int' },
+        DEBUG: { envVar: 'DEBUG', type: 'bool' },
+        FEATURES: { envVar: 'FEATURES', type: 'array' },
+        API_KEY: { envVar: 'API_KEY', fallbackSSM: '/test/files/api-key', type: 'string' }
+      };
+      config.ssmClient = { send: mockSend };
+      config.log = mockLogger;
+
+      await config.initializeConfig(null, { files: true });
+
+      expect(config.DB_HOST).toBe('localhost');
+      expect(config.GREETING).toBe('hello\nworld');
+      expect(config.RAW).toBe('$NOT_EXPANDED');
+      expect(config.PORT).toBe(8080);
+      expect(config.DEBUG).toBe(true);
+      expect(config.FEATURES).toEqual(['a', 'b']);
+      expect(config.API_KEY).toBe('from-ssm');
+      expect(mockSend.mock.calls[0][0].input.Names).toEqual(['/test/files/api-key']);
+      expect(mockLogger.output.info.mock.calls[0][0]).toBe(
+        'Config loaded: 3 from file:.env, 1 from file:config.staging.json, 1 from env, 1 from file:config.json, 1 from ssm'
+      );
+    });
+
+    test('should skip missing files and report malformed ones', async () => {
+      fs.writeFileSync('broken.json', '{ "DB_HOST": ');
+
+      const config = require('../index');
+      const mockLogger = createMockLogger();
+      config.configMap = {
+        DB_HOST: { envVar: 'DB_HOST', fallbackStatic: 'default-db', type: 'string' }
+      };
+      config.ssmClient = { send: jest.fn() };
+      config.log = mockLogger;
+
+      await config.initializeConfig(null, { files: ['missing.env', 'broken.json'] });
+
+      expect(config.DB_HOST).toBe('default-db');
+      expect(config.sources.map(source => source.name).slice(0, 3))
+        .toEqual(['env', 'file:missing.env', 'file:broken.json']);
+      expect(config.fetchErrors.DB_HOST[0].source).toBe('file:broken.json');
+      expect(mockLogger.output.warn.mock.calls[0][0])
+        .toMatch(/^Error fetching config values from source file:broken.json: Can't parse config file broken.json/);
+    });
+  });
+
+  test('should throw UnknownConfigKeyError with suggestions for unknown keys', async () => {
+    const config = require('../index');
+
+    expect(() => config.JWT_SECRET).toThrow('Unknown config key "JWT_SECRET". Set config.configMap before reading values');
+
+    config.configMap = {
+      JWT_SECRET: { envVar: 'JWT_SECRET', fallbackStatic: 'secret', type: 'string' },
+      JWT_ISSUER: { envVar: 'JWT_ISSUER', fallbackStatic: 'issuer', type: 'string' },
+      PORT: { envVar: 'PORT', fallbackStatic: '80', type: 'int' }
+    };
+    config.ssmClient = { send: jest.fn() };
+    config.log = createMockLogger();
+    await config.initializeConfig();
+
+    expect(() => config.JWT_SECRE).toThrow('Unknown config key "JWT_SECRE". Did you mean "JWT_SECRET"?');
+    expect(() => config.getConfig('port')).toThrow('Unknown config key "port". Did you mean "PORT"?');
+    expect(() => config.PROT).toThrow('Unknown config key "PROT". Did you mean "PORT"?');
+    expect(() => config.DATABASE_URL).toThrow(/^Unknown config key "DATABASE_URL"$/);
+
+    let error;
+    try {
+      config.JWT_ISSUR;
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(config.UnknownConfigKeyError);
+    expect(error).toBeInstanceOf(config.ConfigError);
+    expect(error.key).toBe('JWT_ISSUR');
+    expect(error.suggestions).toEqual(['JWT_ISSUER']);
+  });
+
+  test('should work with await, symbols, inspection and key enumeration', async () => {
+    const util = require('util');
+    const config = require('../index');
+    config.configMap = {
+      HOST: { envVar: 'HOST', fallbackStatic: 'localhost', type: 'string' },
+      PORT: { envVar: 'PORT', fallbackStatic: '80', type: 'int' }
+    };
+    config.ssmClient = { send: jest.fn() };
+    config.log = createMockLogger();
+    await config.initializeConfig();
+
+    // Not a thenable, so awaiting it resolves to the config itself
+    expect(await config).toBe(config);
+    expect(config.then).toBeUndefined();
+    expect(config.__esModule).toBeUndefined();
+    expect(config[Symbol.toPrimitive]).toBeUndefined();
+    expect(String(config)).toBe('[object Object]');
+    expect(() => util.inspect(config)).not.toThrow();
+
+    expect(Object.keys(config)).toEqual(['HOST', 'PORT']);
+    expect('PORT' in config).toBe(true);
+    expect('MISSING' in config).toBe(false);
+    expect(Object.entries(config)).toEqual([['HOST', 'localhost'], ['PORT', 80]]);
+    expect(JSON.parse(JSON.stringify(config))).toEqual({ HOST: 'localhost', PORT: 80 });
+  });
+
+  test('should describe every key with secrets masked', async () => {
+    process.env.LOG_LEVEL = 'debug';
+    const util = require('util');
+    const config = require('../index');
+    const mockSend = jest.fn().mockImplementation(async (command) => ({
+      Parameters: command.input.Names.map(name => ({
+        Name: name,
+        Type: name.endsWith('password') ? 'SecureString' : 'String',
+        Value: name.endsWith('password') ? 'hunter2' : 'db.internal'
+      })),
+      InvalidParameters: []
+    }));
+
+    config.configMap = {
+      DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/describe/host', type: 'string' },
+      DB_PASSWORD: { envVar: 'DB_PASSWORD', fallbackSSM: '/test/describe/password', type: 'string' },
+      API_TOKEN: { envVar: 'API_TOKEN', fallbackStatic: 'token-123', type: 'string', secret: true },
+      LOG_LEVEL: { envVar: 'LOG_LEVEL', fallbackStatic: 'info', type: 'string' },
+      SENTRY_DSN: { envVar: 'SENTRY_DSN', type: 'string', required: false }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    expect(config.describe().map(({ key, source, value }) => [key, source, value])[0])
+      .toEqual(['DB_HOST', null, undefined]);
+
+    await config.initializeConfig();
+
+    const description = config.describe();
+    expect(description).toEqual([
+      {
+        key: 'DB_HOST',
+        envVar: 'DB_HOST',
+        type: 'string',
+        source: 'ssm',
+        ssmPath: '/test/describe/host',
+        loadedAt: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+        isSecret: false,
+        value: 'db.internal'
+      },
+      expect.objectContaining({ key: 'DB_PASSWORD', source: 'ssm', isSecret: true, value: '[REDACTED]' }),
+      expect.objectContaining({ key: 'API_TOKEN', source: 'default', ssmPath: null, isSecret: true, value: '[REDACTED]' }),
+      expect.objectContaining({ key: 'LOG_LEVEL', source: 'env', isSecret: false, value: 'debug' }),
+      expect.objectContaining({ key: 'SENTRY_DSN', source: null, loadedAt: null, value: undefined })
+    ]);
+    expect(config.describe({ includeSecrets: true })[1].value).toBe('hunter2');
+
+    const json = JSON.stringify(config);
+    expect(JSON.parse(json)).toEqual({
+      DB_HOST: 'db.internal',
+      DB_PASSWORD: '[REDACTED]',
+      API_TOKEN: '[REDACTED]',
+      LOG_LEVEL: 'debug'
+    });
+
+    const inspected = util.inspect(config);
+    expect(inspected).toMatch(/^Config \{/);
+    expect(inspected).toContain("DB_HOST: 'db.internal'");
+    expect(inspected).not.toContain('hunter2');
+    expect(inspected).not.toContain('token-123');
+  });
+
+  test('should keep resolved values out of process.env unless exportToEnv is set', async () => {
+    const config = require('../index');
+    const mockSend = jest.fn().mockImplementation(async (command) => ({
+      Parameters: command.input.Names.map(name => ({
+        Name: name,
+        Type: name.endsWith('password') ? 'SecureString' : 'String',
+        Value: name.endsWith('password') ? 'hunter2' : 'db.internal'
+      })),
+      InvalidParameters: []
+    }));
+    const configMap = {
+      DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/export/host', type: 'string' },
+      DB_PASSWORD: { envVar: 'DB_PASSWORD', fallbackSSM: '/test/export/password', type: 'string' }
+    };
+
+    const isolated = config.createConfig({ configMap, ssmClient: { send: mockSend }, logger: createMockLogger() });
+    await isolated.initializeConfig();
+
+    expect(process.env.DB_HOST).toBeUndefined();
+    expect(process.env.DB_PASSWORD).toBeUndefined();
+    expect(isolated.DB_HOST).toBe('db.internal');
+    expect(isolated.describe()[0].source).toBe('ssm');
+
+    // A genuine env override still wins, and is reported as coming from env
+    process.env.DB_HOST = 'override.internal';
+    expect(isolated.DB_HOST).toBe('override.internal');
+    expect(isolated.describe()[0].source).toBe('env');
+    delete process.env.DB_HOST;
+    expect(isolated.DB_HOST).toBe('db.internal');
+
+    const partial = config.createConfig({ configMap, ssmClient: { send: mockSend }, logger: createMockLogger() });
+    await partial.initializeConfig(null, { exportToEnv: 'non-secret' });
+
+    expect(process.env.DB_HOST).toBe('db.internal');
+    expect(process.env.DB_PASSWORD).toBeUndefined();
+    // The exported value isn't mistaken for an env override
+    expect(partial.describe()[0].source).toBe('ssm');
+
+    await expect(config.createConfig({ configMap }).initializeConfig(null, { exportToEnv: 'yes' }))
+      .rejects.toThrow('Invalid exportToEnv option "yes". Expected true, false or \'non-secret\'');
+    expect(() => config.createConfig({ configMap, exportToEnv: 'yes' }))
+      .toThrow('Invalid exportToEnv option "yes". Expected true, false or \'non-secret\'');
+  });
+
+  test('should not apply any option from an initializeConfig() call that is rejected', async () => {
+    const config = require('../index');
+    const mockLogger = createMockLogger();
+    const mockSend = jest.fn().mockImplementation(async () => {
+      const err = new Error('Rate exceeded');
+      err.name = 'ThrottlingException';
+      throw err;
+    });
+    const instance = config.createConfig({
+      configMap: { DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/options/host', fallbackStatic: 'localhost', type: 'string' } },
+      ssmClient: { send: mockSend },
+      logger: mockLogger
+    });
+
+    await expect(instance.initializeConfig(null, {
+      quiet: true,
+      strict: true,
+      retry: { maxAttempts: 1 },
+      exportToEnv: 'yes'
+    })).rejects.toThrow('Invalid exportToEnv option "yes"');
+    expect(instance.isQuietMode).toBe(false);
+
+    // The load runs with the defaults: retries, no strict mode and no export
+    await instance.initializeConfig(null, { retry: { baseDelay: 1 } });
+    expect(mockSend).toHaveBeenCalledTimes(3);
+    expect(instance.DB_HOST).toBe('localhost');
+    expect(process.env.DB_HOST).toBeUndefined();
+  });
+
+  test('should treat empty environment variables as unset when loading and reading', async () => {
+    const { MemorySSMClient } = require('../testing');
+    const config = require('../index');
+    process.env.DB_HOST = '';
+    process.env.DB_PORT = '';
+
+    config.configMap = {
+      DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/empty-env/host', type: 'string' },
+      DB_PORT: { envVar: 'DB_PORT', fallbackSSM: '/test/empty-env/port', type: 'int' }
+    };
+    config.ssmClient = new MemorySSMClient({ '/test/empty-env/host': 'db.internal', '/test/empty-env/port': '5432' });
+    config.log = createMockLogger();
+    await config.initializeConfig();
+
+    expect(config.DB_HOST).toBe('db.internal');
+    expect(config.DB_PORT).toBe(5432);
+    expect(config.describe().map(({ source }) => source)).toEqual(['ssm', 'ssm']);
+
+    process.env.DB_PORT = '6543';
+    expect(config.DB_PORT).toBe(6543);
+  });
+
+  test('should check every remote value without loading the config', async () => {
+    const config = require('../index');
+    const mockSend = jest.fn().mockImplementation(async (command) => {
+      if (command.input.KeyId === 'alias/other-team') {
+        const err = new Error('User is not authorized to perform ssm:GetParameters');
+        err.name = 'AccessDeniedException';
+        throw err;
+      }
+      const stored = { '/test/check/host': 'db.internal', '/test/check/port': 'not-a-port' };
+      return {
+        Parameters: command.input.Names.filter(name => stored[name]).map(name => ({ Name: name, Type: 'String', Value: stored[name] })),
+        InvalidParameters: command.input.Names.filter(name => !stored[name])
+      };
+    });
+
+    config.configMap = {
+      DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/check/host', type: 'string' },
+      DB_PORT: { envVar: 'DB_PORT', fallbackSSM: '/test/check/port', type: 'int' },
+      DB_NAME: { envVar: 'DB_NAME', fallbackSSM: '/test/check/name', type: 'string' },
+      DB_POOL: { envVar: 'DB_POOL', fallbackSSM: '/test/check/pool', fallbackStatic: '5', type: 'int' },
+      SHARED_TOKEN: { envVar: 'SHARED_TOKEN', fallbackSSM: '/test/check/token', kmsKeyId: 'alias/other-team', type: 'string' },
+      LOG_LEVEL: { envVar: 'LOG_LEVEL', fallbackStatic: 'info', type: 'string' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+    process.env.DB_HOST = 'from-env';
+
+    const results = await config.check();
+    const byKey = Object.fromEntries(results.map(result => [result.key, result]));
+
+    // Environment variables don't hide a missing or broken parameter
+    expect(byKey.DB_HOST).toMatchObject({ source: 'ssm', remoteId: '/test/check/host', status: 'ok', ok: true });
+    expect(byKey.DB_PORT).toMatchObject({ status: 'invalid', ok: false });
+    expect(byKey.DB_PORT.message).toContain('DB_PORT (from ssm)');
+    expect(byKey.DB_NAME).toMatchObject({ status: 'missing', message: 'not found', ok: false });
+    expect(byKey.DB_POOL).toMatchObject({ status: 'missing', message: 'not found, falls back to fallbackStatic', ok: true });
+    expect(byKey.SHARED_TOKEN).toMatchObject({ status: 'error', kind: 'access-denied', remoteId: '/test/check/token', ok: false });
+    expect(byKey.LOG_LEVEL).toMatchObject({ source: null, status: 'skipped', ok: true });
+
+    // Nothing was loaded
+    expect(() => config.DB_HOST).toThrow('Config not initialized');
+  });
+
+  test('should list the parameters that differ between two SSM paths', async () => {
+    const config = require('../index');
+    const stored = {
+      '/my-app/staging': [
+        { Name: '/my-app/staging/db/host', Type: 'String', Value: 'staging-db' },
+        { Name: '/my-app/staging/db/password', Type: 'SecureString', Value: 'staging-pw' },
+        { Name: '/my-app/staging/feature/beta', Type: 'String', Value: 'true' },
+        { Name: '/my-app/staging/log/level', Type: 'String', Value: 'info' }
+      ],
+      '/my-app/prod': [
+        { Name: '/my-app/prod/db/host', Type: 'String', Value: 'prod-db' },
+        { Name: '/my-app/prod/db/password', Type: 'SecureString', Value: 'prod-pw' },
+        { Name: '/my-app/prod/log/level', Type: 'String', Value: 'info' },
+        { Name: '/my-app/prod/sentry/dsn', Type: 'String', Value: 'https://sentry.example.com/1' }
+      ]
+    };
+    config.ssmClient = { send: jest.fn().mockImplementation(async (command) => ({ Parameters: stored[command.input.Path] })) };
+    config.log = createMockLogger();
+
+    const differences = await config.diffPaths('/my-app/staging/', '/my-app/prod/');
+
+    expect(differences).toEqual([
+      { name: 'db/host', change: 'changed', from: 'staging-db', to: 'prod-db' },
+      { name: 'db/password', change: 'changed', from: '[REDACTED]', to: '[REDACTED]' },
+      { name: 'feature/beta', change: 'removed', from: 'true', to: undefined },
+      { name: 'sentry/dsn', change: 'added', from: undefined, to: 'https://sentry.example.com/1' }
+    ]);
+
+    const withSecrets = await config.diffPaths('/my-app/staging', '/my-app/prod', { includeSecrets: true });
+    expect(withSecrets[1]).toEqual({ name: 'db/password', change: 'changed', from: 'staging-pw', to: 'prod-pw' });
+  });
+
+  // Build an SSM client mock backed by a { name: { value, type } } store, handling
+  // GetParameters reads and PutParameter writes
+  function createParameterStore(stored) {
+    return jest.fn().mockImplementation(async (command) => {
+      if (command.input.Names) {
+        return {
+          Parameters: command.input.Names
+            .filter(name => stored[name])
+            .map(name => ({ Name: name, Type: stored[name].type, Value: stored[name].value })),
+          InvalidParameters: command.input.Names.filter(name => !stored[name])
+        };
+      }
+      const { Name, Value, Type, Overwrite } = command.input;
+      if (stored[Name] && !Overwrite) {
+        const err = new Error(`The parameter already exists`);
+        err.name = 'ParameterAlreadyExists';
+        throw err;
+      }
+      stored[Name] = { value: Value, type: Type };
+      return { Version: 1 };
+    });
+  }
+
+  test('should push values to the SSM parameters in the configMap', async () => {
+    const config = require('../index');
+    const stored = {
+      '/test/push/host': { value: 'old-db', type: 'String' },
+      '/test/push/port': { value: '5432', type: 'String' },
+      '/test/push/token': { value: 'old-token', type: 'SecureString' }
+    };
+    const mockSend = createParameterStore(stored);
+    const mockLogger = createMockLogger();
+
+    config.configMap = {
+      DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/push/host', type: 'string' },
+      DB_PORT: { envVar: 'DB_PORT', fallbackSSM: '/test/push/port', type: 'int' },
+      DB_PASSWORD: { envVar: 'DB_PASSWORD', fallbackSSM: '/test/push/password', type: 'string', secret: true, kmsKeyId: 'alias/db-key' },
+      API_TOKEN: { envVar: 'API_TOKEN', fallbackSSM: '/test/push/token', type: 'string' },
+      FEATURES: { envVar: 'FEATURES', fallbackSSM: '/test/push/features', type: 'json' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = mockLogger;
+
+    const values = {
+      DB_HOST: 'new-db',
+      DB_PORT: 5432,
+      DB_PASSWORD: 'hunter2',
+      API_TOKEN: 'new-token',
+      FEATURES: { beta: true }
+    };
+
+    // A dry run reports the plan and writes nothing
+    const plan = await config.push({ values, dryRun: true });
+    expect(plan).toEqual([
+      { key: 'DB_HOST', parameter: '/test/push/host', type: 'String', kmsKeyId: null, action: 'skip' },
+      { key: 'DB_PORT', parameter: '/test/push/port', type: 'String', kmsKeyId: null, action: 'unchanged' },
+      { key: 'DB_PASSWORD', parameter: '/test/push/password', type: 'SecureString', kmsKeyId: 'alias/db-key', action: 'create' },
+      { key: 'API_TOKEN', parameter: '/test/push/token', type: 'SecureString', kmsKeyId: null, action: 'skip' },
+      { key: 'FEATURES', parameter: '/test/push/features', type: 'String', kmsKeyId: null, action: 'create' }
+    ]);
+    expect(mockSend.mock.calls.filter(([command]) => command.input.Value !== undefined)).toHaveLength(0);
+    expect(mockLogger.output.info).toHaveBeenCalledWith('Config push dry run (nothing written): 2 skipped, 1 unchanged, 2 created');
+
+    const results = await config.push({ values, overwrite: true, kmsKeyId: 'alias/app-key' });
+    expect(results.map(({ key, action }) => [key, action])).toEqual([
+      ['DB_HOST', 'update'],
+      ['DB_PORT', 'unchanged'],
+      ['DB_PASSWORD', 'create'],
+      ['API_TOKEN', 'update'],
+      ['FEATURES', 'create']
+    ]);
+    expect(stored['/test/push/host']).toEqual({ value: 'new-db', type: 'String' });
+    expect(stored['/test/push/features']).toEqual({ value: '{"beta":true}', type: 'String' });
+    // The existing SecureString stays secure, using the key passed to push
+    expect(stored['/test/push/token']).toEqual({ value: 'new-token', type: 'SecureString' });
+    const tokenPut = mockSend.mock.calls.find(([command]) => command.input.Name === '/test/push/token')[0];
+    expect(tokenPut.input).toMatchObject({ Overwrite: true, KeyId: 'alias/app-key' });
+    const passwordPut = mockSend.mock.calls.find(([command]) => command.input.Name === '/test/push/password')[0];
+    expect(passwordPut.input).toMatchObject({ Type: 'SecureString', Overwrite: false, KeyId: 'alias/db-key' });
+
+    // Values never reach the logs
+    const logged = JSON.stringify(Object.values(mockLogger.output).map(fn => fn.mock.calls));
+    expect(logged).not.toContain('hunter2');
+    expect(logged).not.toContain('new-token');
+  });
+
+  test('should reject invalid push values before writing anything', async () => {
+    const config = require('../index');
+    const mockSend = createParameterStore({});
+
+    config.configMap = {
+      DB_PORT: { envVar: 'DB_PORT', fallbackSSM: '/test/push/port', type: 'int' },
+      DB_PASSWORD: { envVar: 'DB_PASSWORD', fallbackSSM: '/test/push/password', type: 'int', secret: true },
+      LOG_LEVEL: { envVar: 'LOG_LEVEL', fallbackStatic: 'info', type: 'string' }
+    };
+    config.ssmClient = { send: mockSend };
+    config.log = createMockLogger();
+
+    await expect(config.push({ values: { DB_PORT: 'abc', DB_PASSWORD: 'hunter2' } })).rejects.toThrow(
+      'Invalid configuration (2 problems):\n' +
+      '  - DB_PORT: Invalid int value: "abc". Expected a whole number\n' +
+      '  - DB_PASSWORD: value is not a valid int'
+    );
+    await expect(config.push({ values: { LOG_LEVEL: 'debug', DB_PROT: '1' } })).rejects.toThrow(
+      'Invalid configuration (2 problems):\n' +
+      '  - LOG_LEVEL has no fallbackSSM parameter to push to\n' +
+      '  - Unknown config key "DB_PROT". Did you mean "DB_PORT"?'
+    );
+    expect(mockSend.mock.calls.filter(([command]) => command.input.Value !== undefined)).toHaveLength(0);
+  });
+
+  test('should reload with a new configMap after reset() or with force', async () => {
+    const { MemorySSMClient } = require('../testing');
+    const config = require('../index');
+    const ssm = new MemorySSMClient({ '/test/reload/host': 'db.internal', '/test/reload/port': '5432' });
+    const mockLogger = createMockLogger();
+
+    config.configMap = { DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/reload/host', type: 'string' } };
+    config.ssmClient = ssm;
+    config.log = mockLogger;
+    await config.initializeConfig();
+
+    config.configMap = {
+      DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/reload/host', type: 'string' },
+      DB_PORT: { envVar: 'DB_PORT', fallbackSSM: '/test/reload/port', type: 'int' }
+    };
+    expect(mockLogger.output.warn).toHaveBeenCalledWith(expect.stringContaining('configMap was changed after initializeConfig()'));
+
+    // Without force the new map isn't loaded, and the loaded values keep the old one
+    await config.initializeConfig();
+    expect(config.DB_HOST).toBe('db.internal');
+    expect(() => config.DB_PORT).toThrow(config.UnknownConfigKeyError);
+
+    await config.initializeConfig(null, { force: true });
+    expect(config.DB_PORT).toBe(5432);
+
+    ssm.putParameter('/test/reload/port', '6543');
+    config.reset();
+    expect(() => config.DB_PORT).toThrow('Config not initialized');
+    await config.initializeConfig();
+    expect(config.DB_PORT).toBe(6543);
+  });
+
+  test('should keep serving the loaded configMap until it is reset', async () => {
+    const config = require('../index');
+    config.configMap = { A: { envVar: 'RESET_MAP_A', fallbackStatic: 'a', type: 'string' } };
+    config.log = createMockLogger();
+    await config.initializeConfig();
+
+    config.configMap = { B: { envVar: 'RESET_MAP_B', fallbackStatic: 'b', type: 'string' } };
+    expect(config.configMap).toEqual({ B: { envVar: 'RESET_MAP_B', fallbackStatic: 'b', type: 'string' } });
+    expect(config.A).toBe('a');
+    expect(Object.keys(config)).toEqual(['A']);
+
+    config.reset();
+    await config.initializeConfig();
+    expect(config.B).toBe('b');
+    expect(() => config.A).toThrow(config.UnknownConfigKeyError);
+  });
+
+  test('should notify change listeners of values a reload after reset() changes', async () => {
+    const { MemorySSMClient } = require('../testing');
+    const config = require('../index');
+    const ssm = new MemorySSMClient({ '/test/reload/host': 'h', '/test/reload/port': '5432' });
+
+    config.configMap = {
+      DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/reload/host', type: 'string' },
+      DB_PORT: { envVar: 'DB_PORT', fallbackSSM: '/test/reload/port', type: 'int' }
+    };
+    config.ssmClient = ssm;
+    config.log = createMockLogger();
+    const listener = jest.fn();
+    const hostListener = jest.fn();
+    config.on('change', listener);
+    config.watch('DB_HOST', hostListener);
+    await config.initializeConfig();
+    expect(listener).not.toHaveBeenCalled();
+
+    ssm.putParameter('/test/reload/host', 'h2');
+    await config.initializeConfig(null, { force: true });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith('DB_HOST', 'h', 'h2', 'ssm');
+    expect(hostListener).toHaveBeenCalledWith('DB_HOST', 'h', 'h2', 'ssm');
+
+    ssm.putParameter('/test/reload/port', '6543');
+    config.reset();
+    await config.initializeConfig();
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith('DB_PORT', 5432, 6543, 'ssm');
+  });
+
+  test('should discard a load that reset() interrupts', async () => {
+    const { MemorySSMClient } = require('../testing');
+    const config = require('../index');
+    const ssm = new MemorySSMClient({ '/test/reload/host': 'first-db' });
+    let releaseFirstLoad;
+    const firstLoadStarted = new Promise(resolve => {
+      config.ssmClient = {
+        send: async (command) => {
+          resolve();
+          await new Promise(release => { releaseFirstLoad = release; });
+          return ssm.send(command);
+        }
+      };
+    });
+
+    config.configMap = { DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/reload/host', type: 'string' } };
+    config.log = createMockLogger();
+
+    const firstLoad = config.initializeConfig();
+    await firstLoadStarted;
+
+    ssm.putParameter('/test/reload/host', 'second-db');
+    config.ssmClient = ssm;
+    await config.initializeConfig(null, { force: true });
+    expect(config.DB_HOST).toBe('second-db');
+
+    // The first load finishes last but can't replace the newer values
+    releaseFirstLoad();
+    await expect(firstLoad).rejects.toThrow('Config was reset while it was loading');
+    expect(config.DB_HOST).toBe('second-db');
+    await expect(config.initializeConfig()).resolves.toBeUndefined();
+  });
+
+  test('should flag a KMS key passed after the config was initialized with another', async () => {
+    const { MemorySSMClient } = require('../testing');
+    const config = require('../index');
+    const ssm = new MemorySSMClient({ '/test/reload/token': { value: 'abc', type: 'SecureString', kmsKeyId: 'alias/new-key' } });
+    const mockLogger = createMockLogger();
+
+    config.configMap = { TOKEN: { envVar: 'TOKEN', fallbackSSM: '/test/reload/token', type: 'string' } };
+    config.ssmClient = ssm;
+    config.log = mockLogger;
+
+    await config.initializeConfig('alias/old-key');
+    // Passing no key, or the same one, is the usual "wait for init" call and isn't flagged
+    await config.initializeConfig();
+    await config.initializeConfig('alias/old-key');
+    expect(mockLogger.output.warn).not.toHaveBeenCalledWith(expect.stringContaining('initializeConfig() was called with KMS key'));
+
+    await config.initializeConfig('alias/new-key');
+    expect(mockLogger.output.warn).toHaveBeenCalledWith(
+      'initializeConfig() was called with KMS key alias/new-key, but the config was already initialized with alias/old-key. ' +
+      'The new key is ignored; pass { force: true } to reload with it'
+    );
+
+    const strict = config.createConfig({ configMap: config.configMap, ssmClient: ssm, logger: createMockLogger() });
+    await strict.initializeConfig('alias/old-key', { strict: true });
+    await expect(strict.initializeConfig('alias/new-key')).rejects.toThrow('The new key is ignored');
+
+    await strict.initializeConfig('alias/new-key', { force: true });
+    expect(ssm.calls[ssm.calls.length - 1].input.KeyId).toBe('alias/new-key');
+    expect(strict.TOKEN).toBe('abc');
+  });
+
+  describe('snapshots', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let snapshotDir;
+
+    beforeEach(() => {
+      snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssm-config-snapshot-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(snapshotDir, { recursive: true, force: true });
+    });
+
+    const CONFIG_MAP = {
+      DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/snapshot/host', type: 'string' },
+      DB_PORT: { envVar: 'DB_PORT', fallbackSSM: '/test/snapshot/port', type: 'int' },
+      DB_PASSWORD: { envVar: 'DB_PASSWORD', fallbackSSM: '/test/snapshot/password', type: 'string' }
+    };
+
+    // Load a config from SSM and write its snapshot
+    async function exportFromSsm(snapshotPath, options, configMap = CONFIG_MAP) {
+      const { MemorySSMClient } = require('../testing');
+      const config = require('../index');
+      const ssm = new MemorySSMClient({
+        '/test/snapshot/host': 'db.internal',
+        '/test/snapshot/port': '5432',
+        '/test/snapshot/password': { value: 'hunter2', type: 'SecureString' }
+      });
+      const source = config.createConfig({ configMap, ssmClient: ssm, logger: createMockLogger() });
+      await source.initializeConfig();
+      await source.exportSnapshot(snapshotPath, options);
+      return source;
+    }
+
+    test('should load a snapshot synchronously without calling AWS', async () => {
+      const snapshotPath = path.join(snapshotDir, 'config.json');
+      const source = await exportFromSsm(snapshotPath, { passphrase: 'correct horse' });
+
+      const file = fs.readFileSync(snapshotPath, 'utf8');
+      expect(file).not.toContain('hunter2');
+      expect(fs.statSync(snapshotPath).mode & 0o777).toBe(0o600);
+
+      const config = require('../index');
+      const mockSend = jest.fn();
+      const mockLogger = createMockLogger();
+      const worker = config.createConfig({ configMap: CONFIG_MAP, ssmClient: { send: mockSend }, logger: mockLogger });
+      worker.loadFromSnapshot(snapshotPath, { passphrase: 'correct horse' });
+
+      expect(mockSend).not.toHaveBeenCalled();
+      expect(worker.DB_PORT).toBe(5432);
+      expect(worker.DB_PASSWORD).toBe('hunter2');
+      expect(worker.describe()[2]).toMatchObject({ source: 'snapshot', isSecret: true, value: '[REDACTED]' });
+      expect(mockLogger.output.info.mock.calls[0][0]).toMatch(/^Config loaded from snapshot .*config\.json: 3 values, \ds old$/);
+
+      // Environment variables still win, and there's nothing to refresh from
+      process.env.DB_HOST = 'override.internal';
+      expect(worker.DB_HOST).toBe('override.internal');
+      await expect(worker.refresh()).rejects.toThrow('Call initializeConfig(null, { force: true }) to load from the sources');
+
+      // Without a passphrase, secrets aren't written in plain text unless asked for
+      await expect(source.exportSnapshot(path.join(snapshotDir, 'plain.json')))
+        .rejects.toThrow('Snapshot would contain secret values in plain text (DB_PASSWORD)');
+      await source.exportSnapshot(path.join(snapshotDir, 'plain.json'), { allowPlaintextSecrets: true });
+      expect(fs.readFileSync(path.join(snapshotDir, 'plain.json'), 'utf8')).toContain('hunter2');
+    });
+
+    test('should leave env values out and fall back to static defaults', async () => {
+      const snapshotPath = path.join(snapshotDir, 'config.json');
+      process.env.DB_HOST = 'local.override';
+      await exportFromSsm(snapshotPath, { passphrase: 'correct horse' }, {
+        ...CONFIG_MAP,
+        POOL_SIZE: { envVar: 'POOL_SIZE', fallbackStatic: 5, type: 'int' }
+      });
+      delete process.env.DB_HOST;
+
+      const config = require('../index');
+      const worker = config.createConfig({
+        configMap: {
+          ...CONFIG_MAP,
+          POOL_SIZE: { envVar: 'POOL_SIZE', fallbackStatic: 10, type: 'int' }
+        },
+        ssmClient: { send: jest.fn() },
+        logger: createMockLogger()
+      });
+      worker.loadFromSnapshot(snapshotPath, { passphrase: 'correct horse' });
+
+      // The exporting process's env override and static default stayed with it
+      expect(worker.DB_HOST).toBe('db.internal');
+      expect(worker.POOL_SIZE).toBe(10);
+      expect(worker.describe().map(({ key, source }) => [key, source])).toEqual([
+        ['DB_HOST', 'snapshot'],
+        ['DB_PORT', 'snapshot'],
+        ['DB_PASSWORD', 'snapshot'],
+        ['POOL_SIZE', 'default']
+      ]);
+    });
+
+    test('should reject stale, undecryptable or invalid snapshots', async () => {
+      const config = require('../index');
+      const snapshotPath = path.join(snapshotDir, 'config.json');
+      await exportFromSsm(snapshotPath, { passphrase: 'correct horse' });
+      const createWorker = (configMap = CONFIG_MAP) => config.createConfig({ configMap, ssmClient: { send: jest.fn() }, logger: createMockLogger() });
+
+      expect(() => createWorker().loadFromSnapshot(snapshotPath))
+        .toThrow('is encrypted. Pass its passphrase or set SSM_CONFIG_SNAPSHOT_PASSPHRASE');
+      expect(() => createWorker().loadFromSnapshot(snapshotPath, { passphrase: 'wrong' }))
+        .toThrow('it was written with a different passphrase');
+
+      process.env.SSM_CONFIG_SNAPSHOT_PASSPHRASE = 'correct horse';
+      const stale = createWorker();
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * 60 * 60 * 1000);
+      expect(() => stale.loadFromSnapshot(snapshotPath)).toThrow('older than maxAge (3600s)');
+      stale.loadFromSnapshot(snapshotPath, { maxAge: 3 * 60 * 60 * 1000 });
+      expect(stale.DB_HOST).toBe('db.internal');
+      Date.now.mockRestore();
+
+      // The snapshot is validated against the reading process's configMap
+      const strict = createWorker({
+        ...CONFIG_MAP,
+        DB_PORT: { ...CONFIG_MAP.DB_PORT, max: 1024 },
+        DB_NAME: { envVar: 'DB_NAME', fallbackSSM: '/test/snapshot/name', type: 'string' }
+      });
+      expect(() => strict.loadFromSnapshot(snapshotPath)).toThrow(/DB_PORT.*1024[\s\S]*Missing configuration value for DB_NAME/);
+      expect(() => strict.DB_HOST).toThrow('Config not initialized');
+    });
+  });
+
+  describe('testing helpers', () => {
+    test('MemorySSMClient should answer like SSM, including errors', async () => {
+      const { GetParameterCommand, GetParametersCommand, GetParametersByPathCommand } = require('@aws-sdk/client-ssm');
+      const { MemorySSMClient } = require('../testing');
+      const ssm = new MemorySSMClient({
+        '/app/db/host': 'db.internal',
+        '/app/db/password': { value: 'hunter2', type: 'SecureString', kmsKeyId: 'alias/app' },
+        '/app/api/nested/token': { value: 'abc', type: 'SecureString' },
+        '/other/value': 'x'
+      });
+
+      await expect(ssm.send(new GetParametersCommand({ Names: ['/app/db/host', '/app/missing'], WithDecryption: true })))
+        .resolves.toEqual({
+          Parameters: [{ Name: '/app/db/host', Type: 'String', Value: 'db.internal', Version: 1 }],
+          InvalidParameters: ['/app/missing']
+        });
+      await expect(ssm.send(new GetParameterCommand({ Name: '/app/missing' })))
+        .rejects.toMatchObject({ name: 'ParameterNotFound', $metadata: { httpStatusCode: 400 } });
+
+      // SecureStrings are only readable with decryption, and KeyId must match the key they use
+      const encrypted = await ssm.send(new GetParameterCommand({ Name: '/app/db/password' }));
+      expect(encrypted.Parameter.Value).not.toBe('hunter2');
+      const decrypted = await ssm.send(new GetParameterCommand({ Name: '/app/db/password', WithDecryption: true, KeyId: 'alias/app' }));
+      expect(decrypted.Parameter.Value).toBe('hunter2');
+      await expect(ssm.send(new GetParameterCommand({ Name: '/app/db/password', WithDecryption: true, KeyId: 'alias/other' })))
+        .rejects.toMatchObject({ name: 'InvalidKeyId' });
+      await expect(ssm.send(new GetParametersCommand({ Names: ['/app/db/host'], KeyId: 'alias/app' })))
+        .rejects.toMatchObject({ name: 'ValidationException' });
+      ssm.denyKmsKey('alias/app');
+      await expect(ssm.send(new GetParameterCommand({ Name: '/app/db/password', WithDecryption: true })))
+        .rejects.toMatchObject({ name: 'AccessDeniedException' });
+
+      const firstPage = await ssm.send(new GetParametersByPathCommand({ Path: '/app', Recursive: true, MaxResults: 1 }));
+      expect(firstPage.Parameters.map(param => param.Name)).toEqual(['/app/api/nested/token']);
+      expect(firstPage.NextToken).toBeDefined();
+      const direct = await ssm.send(new GetParametersByPathCommand({ Path: '/app/db/' }));
+      expect(direct.Parameters.map(param => param.Name)).toEqual(['/app/db/host', '/app/db/password']);
+
+      expect(ssm.calls.map(call => call.command)).toContain('GetParametersByPathCommand');
+    });
+
+    test('resetConfig should let a config instance load again', async () => {
+      const { MemorySSMClient, createAwsError, resetConfig } = require('../testing');
+      const config = require('../index');
+      const ssm = new MemorySSMClient({ '/test/reset/host': 'first-db' });
+
+      config.configMap = {
+        DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/reset/host', type: 'string' }
+      };
+      config.ssmClient = ssm;
+      config.log = createMockLogger();
+
+      await config.initializeConfig(null, { exportToEnv: true });
+      expect(config.DB_HOST).toBe('first-db');
+      expect(process.env.DB_HOST).toBe('first-db');
+
+      ssm.putParameter('/test/reset/host', 'second-db');
+      resetConfig();
+
+      // Values the instance exported are removed, and reading before the next load fails again
+      expect(process.env.DB_HOST).toBeUndefined();
+      expect(() => config.DB_HOST).toThrow('Config not initialized');
+      await config.initializeConfig();
+      expect(config.DB_HOST).toBe('second-db');
+
+      ssm.setError('/test/reset/host', createAwsError('ThrottlingException', 'Rate exceeded'));
+      resetConfig(config);
+      await expect(config.initializeConfig(null, { strict: true, retry: { maxAttempts: 1 } })).rejects.toThrow('throttled: Rate exceeded');
+    });
+
+    test('startFakeExtension should serve parameters and secrets like the Lambda extension', async () => {
+      process.env.AWS_LAMBDA_FUNCTION_NAME = 'test-function';
+      process.env.AWS_SESSION_TOKEN = 'test-token';
+      const { MemorySSMClient, startFakeExtension } = require('../testing');
+      const config = require('../index');
+
+      const extension = await startFakeExtension({
+        ssm: new MemorySSMClient({ '/test/extension/host': 'db.internal' }),
+        secrets: { 'test/extension/db': '{"password":"hunter2"}' }
+      });
+      try {
+        const mockSend = jest.fn();
+        config.configMap = {
+          DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/extension/host', type: 'string' },
+          DB_PASSWORD: { envVar: 'DB_PASSWORD', fallbackSecret: 'test/extension/db', jsonKey: 'password', type: 'string' },
+          DB_NAME: { envVar: 'DB_NAME', fallbackSSM: '/test/extension/name', fallbackStatic: 'app', type: 'string' }
+        };
+        config.ssmClient = { send: mockSend.mockResolvedValue({ Parameters: [], InvalidParameters: ['/test/extension/name'] }) };
+        config.log = createMockLogger();
+
+        await config.initializeConfig();
+
+        expect(config.DB_HOST).toBe('db.internal');
+        expect(config.DB_PASSWORD).toBe('hunter2');
+        expect(config.DB_NAME).toBe('app');
+        expect(extension.requests.map(({ path, query }) => [path, query.name || query.secretId])).toEqual(expect.arrayContaining([
+          ['/systemsmanager/parameters/get', '/test/extension/host'],
+          ['/secretsmanager/get', 'test/extension/db']
+        ]));
+        expect(extension.requests[0].headers['x-aws-parameters-secrets-token']).toBe('test-token');
+      } finally {
+        await extension.close();
+      }
+    });
+  });
+
+  describe('command-line tool', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let moduleDir;
+
+    beforeEach(() => {
+      moduleDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssm-config-cli-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(moduleDir, { recursive: true, force: true });
+    });
+
+    // Write a project config module that sets up the shared instance, like the README's ssmConfig.js
+    function writeConfigModule(configMap) {
+      const modulePath = path.join(moduleDir, 'ssmConfig.js');
+      fs.writeFileSync(modulePath, [
+        `const config = require(${JSON.stringify(path.resolve(__dirname, '../index.js'))});`,
+        `config.configMap = ${JSON.stringify(configMap)};`,
+        'module.exports = config;'
+      ].join('\n'));
+      return modulePath;
+    }
+
+    function createIo() {
+      const output = { stdout: '', stderr: '' };
+      return {
+        output,
+        stdout: { write: text => { output.stdout += text; } },
+        stderr: { write: text => { output.stderr += text; } }
+      };
+    }
+
+    function mockParameters(stored) {
+      return jest.fn().mockImplementation(async (command) => ({
+        Parameters: command.input.Names
+          .filter(name => stored[name])
+          .map(name => ({ Name: name, Type: stored[name].type || 'String', Value: stored[name].value })),
+        InvalidParameters: command.input.Names.filter(name => !stored[name])
+      }));
+    }
+
+    test('check should report each key and fail when a parameter is missing', async () => {
+      const { run } = require('../lib/cli');
+      const config = require('../index');
+      config.ssmClient = { send: mockParameters({ '/test/cli/host': { value: 'db.internal' } }) };
+      const modulePath = writeConfigModule({
+        DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/cli/host', type: 'string' },
+        DB_NAME: { envVar: 'DB_NAME', fallbackSSM: '/test/cli/name', type: 'string' }
+      });
+
+      const io = createIo();
+      const code = await run(['check', '--config', modulePath], io);
+
+      expect(code).toBe(1);
+      expect(io.output.stdout.split('\n').slice(0, 3)).toEqual([
+        'KEY      SOURCE              STATUS   DETAIL',
+        'DB_HOST  ssm /test/cli/host  ok',
+        'DB_NAME  ssm /test/cli/name  missing  not found'
+      ]);
+      expect(io.output.stdout).toContain('1 of 2 keys have problems');
+    });
+
+    test('print should show values and sources, masking secrets with --redact', async () => {
+      const { run } = require('../lib/cli');
+      const config = require('../index');
+      config.ssmClient = {
+        send: mockParameters({
+          '/test/cli/host': { value: 'db.internal' },
+          '/test/cli/password': { value: 'hunter2', type: 'SecureString' }
+        })
+      };
+      const modulePath = writeConfigModule({
+        DB_HOST: { envVar: 'DB_HOST', fallbackSSM: '/test/cli/host', type: 'string' },
+        DB_PASSWORD: { envVar: 'DB_PASSWORD', fallbackSSM: '/test/cli/password', type: 'string' },
+        DB_POOL: { envVar: 'DB_POOL', fallbackStatic: 5, type: 'int' }
+      });
+
+      const io = createIo();
+      const code = await run(['print', '--config', modulePath, '--redact'], io);
+
+      expect(code).toBe(0);
+      expect(io.output.stdout).toBe([
+        'KEY          SOURCE   VALUE',
+        'DB_HOST      ssm      db.internal',
+        'DB_PASSWORD  ssm      [REDACTED]',
+        'DB_POOL      default  5',
+        ''
+      ].join('\n'));
+      // The load summary goes to stderr, keeping stdout clean for the output
+      expect(io.output.stderr).toContain('Config loaded: 2 from ssm, 1 from default');
+    });
+
+    test('diff should compare the prefixes named by --env', async () => {
+      const { run } = require('../lib/cli');
+      const config = require('../index');
+      config.ssmClient = {
+        send: jest.fn().mockImplementation(async (command) => ({
+          Parameters: [{ Name: `${command.input.Path}/db/host`, Type: 'String', Value: `${command.input.Path}-db` }]
+        }))
+      };
+      const modulePath = writeConfigModule({});
+
+      const io = createIo();
+      const code = await run(['diff', '--config', modulePath, '--path', '/my-app/{env}/', '--env', 'staging', '--env', 'prod'], io);
+
+      expect(code).toBe(1);
+      expect(io.output.stdout).toBe('--- /my-app/staging/\n+++ /my-app/prod/\n~  db/host  /my-app/staging-db -> /my-app/prod-db\n');
+
+      const usageIo = createIo();
+      expect(await run(['diff', '--env', 'staging'], usageIo)).toBe(2);
+      expect(usageIo.output.stderr).toContain('diff needs exactly two --env options');
+    });
+
+    test('push should write the values from a file by envVar', async () => {
+      const { run } = require('../lib/cli');
+      const config = require('../index');
+      const stored = { '/test/cli/host': { value: 'db.internal', type: 'String' } };
+      config.ssmClient = { send: createParameterStore(stored) };
+      const modulePath = writeConfigModule({
+        DB_HOST: { envVar: 'PGHOST', fallbackSSM: '/test/cli/host', type: 'string' },
+        DB_PASSWORD: { envVar: 'PGPASSWORD', fallbackSSM: '/test/cli/password', type: 'string' }
+      });
+      const valuesPath = path.join(moduleDir, 'seed.env');
+      fs.writeFileSync(valuesPath, 'PGHOST=db.internal\nPGPASSWORD=hunter2\n');
+
+      const io = createIo();
+      const code = await run(['push', '--config', modulePath, '--values', valuesPath, '--type', 'SecureString'], io);
+
+      expect(code).toBe(0);
+      expect(io.output.stdout).toBe([
+        'KEY          PARAMETER           TYPE          ACTION',
+        'DB_HOST      /test/cli/host      SecureString  skip (exists, use --overwrite)',
+        'DB_PASSWORD  /test/cli/password  SecureString  create',
+        ''
+      ].join('\n'));
+      expect(stored['/test/cli/password']).toEqual({ value: 'hunter2', type: 'SecureString' });
+      expect(io.output.stdout + io.output.stderr).not.toContain('hunter2');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// Compiled by `npm run test:types` to check the shipped declarations. Every line after an
+// expect-error comment must fail to compile, or the check fails.
+import config = require('../../index');
+
+const appConfig = config.defineConfig({
+  PORT: { envVar: 'PORT', type: 'int', fallbackStatic: 3000 },
+  DEBUG: { envVar: 'DEBUG', type: 'bool' },
+  JWT_SECRET: { envVar: 'JWT_SECRET', fallbackSSM: '/app/jwt', type: 'string', secret: true },
+  LOG_LEVEL: { envVar: 'LOG_LEVEL', type: 'enum', enum: ['debug', 'info'] },
+  WORKERS: { envVar: 'WORKERS', type: 'int', enum: [1, 2, 4] },
+  HOSTS: { envVar: 'HOSTS', type: 'array', itemType: 'int' },
+  SENTRY_DSN: { envVar: 'SENTRY_DSN', type: 'url', required: false },
+  CUSTOM: { envVar: 'CUSTOM', type: 'csv-set' }
+});
+
+// Values are typed from the map
+const port: number = appConfig.PORT;
+const debug: boolean = appConfig.DEBUG;
+const secret: string = appConfig.JWT_SECRET;
+const level: 'debug' | 'info' = appConfig.LOG_LEVEL;
+const workers: 1 | 2 | 4 = appConfig.WORKERS;
+const hosts: number[] = appConfig.HOSTS;
+const sentry: URL | undefined = appConfig.SENTRY_DSN;
+const custom: unknown = appConfig.CUSTOM;
+const viaGet: number = appConfig.getConfig('PORT');
+appConfig.watch('PORT', (key, oldValue, newValue) => {
+  const value: number = newValue;
+});
+
+// @ts-expect-error misspelled key
+appConfig.JWT_SECRE;
+// @ts-expect-error PORT is a number
+const wrongType: string = appConfig.PORT;
+// @ts-expect-error 'warn' isn't one of the enum values
+const wrongLevel: 'warn' = appConfig.LOG_LEVEL;
+// @ts-expect-error optional values may be undefined
+const requiredSentry: URL = appConfig.SENTRY_DSN;
+// @ts-expect-error getConfig only accepts keys from the map
+appConfig.getConfig('NOPE');
+// @ts-expect-error watch only accepts keys from the map
+appConfig.watch('NOPE', () => {});
+// @ts-expect-error push only accepts keys from the map
+appConfig.push({ values: { NOPE: 1 } });
+// @ts-expect-error envVar is required
+config.defineConfig({ PORT: { type: 'int' } });
+
+// The default instance is untyped
+const anything: string = config.WHATEVER;
+config.configMap = { A: { envVar: 'A', type: 'string' } };
+
+async function methods() {
+  await config.initializeConfig(null, { quiet: true, strict: true, files: true, exportToEnv: 'non-secret', force: true });
+  // @ts-expect-error exportToEnv is true, false or 'non-secret'
+  await config.initializeConfig(null, { exportToEnv: 'all' });
+
+  try {
+    await appConfig.initializeConfig('alias/my-key', { diskCache: { ttl: 1000 }, retry: { maxAttempts: 1 } });
+  } catch (err) {
+    if (err instanceof config.ConfigValidationError) {
+      const problems: string[] = err.problems;
+    }
+  }
+
+  const checks = await appConfig.check();
+  checks.filter(result => !result.ok).map(result => result.kind);
+  const differences = await config.diffPaths('/a/', '/b/', { includeSecrets: true });
+  differences.map(difference => difference.change);
+  const pushed = await appConfig.push({ values: { PORT: 1 }, dryRun: true });
+  pushed.map(result => result.action);
+
+  appConfig.reset();
+  await appConfig.exportSnapshot('/tmp/config.json', { passphrase: 'secret' });
+  appConfig.loadFromSnapshot('/tmp/config.json', { maxAge: 1000, force: true });
+  const description = appConfig.describe({ includeSecrets: true });
+  const json: Record<string, unknown> = appConfig.toJSON();
+}
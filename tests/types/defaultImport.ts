@@ -0,0 +1,12 @@
+// Compiled by `npm run test:types` to check that a default import works with esModuleInterop
+import config from '../../index';
+
+const appConfig = config.defineConfig({
+  PORT: { envVar: 'PORT', type: 'int', fallbackStatic: 3000 }
+});
+
+const port: number = appConfig.PORT;
+
+async function initialize() {
+  await config.initializeConfig(null, { quiet: true });
+}
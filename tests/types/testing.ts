@@ -0,0 +1,23 @@
+// Compiled by `npm run test:types` to check the testing module's declarations
+import config = require('../../index');
+import testing = require('../../testing');
+
+const ssm: testing.MemorySSMClient = new testing.MemorySSMClient({
+  '/app/host': 'db.internal',
+  '/app/password': { value: 'hunter2', type: 'SecureString', kmsKeyId: 'alias/my-key' }
+});
+ssm.setError('/app/host', testing.createAwsError('ThrottlingException'));
+ssm.denyKmsKey('alias/other-key');
+const stored: string | undefined = ssm.getValue('/app/host');
+config.ssmClient = ssm;
+
+testing.resetConfig();
+testing.resetConfig(config.defineConfig({ A: { envVar: 'A', type: 'string' } }));
+// @ts-expect-error parameter types are String, StringList or SecureString
+new testing.MemorySSMClient({ '/a': { value: 'x', type: 'Secure' } });
+
+async function extension() {
+  const fake = await testing.startFakeExtension({ ssm, secrets: { 'app/db': '{"password":"hunter2"}' } });
+  const path: string = fake.requests[0].path;
+  await fake.close();
+}